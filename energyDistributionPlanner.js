@@ -12,44 +12,454 @@
  * 🚀 TODO for Production (no logic change, just activation/config):
  *   - [ ] Set SET_PLANS = true to actually write pump setpoints via scheduler.
  *   - [ ] Verify state write permissions (setVal/setState targets exist).
- *   - [ ] Check summary text time suffix "(UTC)" vs. Europe/Berlin and adjust if needed.
  *   - [ ] Validate hour formatting for Grafana consumers (HH:mm:ss).
  *   - [ ] Set up config.json (see config.sample.json)
  ******************************/
 
+// ==== RUNTIME ====
+/**
+ * Host adapter: all state, schedule, subscription, messaging and log access goes through RT.
+ * Inside the ioBroker script adapter RT forwards to the sandbox globals; on
+ * plain Node (CLI, regression tests) it is an in-memory state store with a
+ * settable clock, inert schedules and synchronous subscriptions.
+ */
+const IS_IOBROKER = typeof existsState === 'function' && typeof createState === 'function';
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+function ioBrokerRuntime() {
+	return {
+		name: 'iobroker',
+		now: () => Date.now(),
+		log: (msg, level = 'info') => log(msg, level),
+		getState: id => getState(id),
+		setState: (id, val, ack) => setState(id, val, ack),
+		existsState: id => existsState(id),
+		createState: (id, common) => createState(id, common),
+		getObject: id => getObject(id),
+		schedule: (when, cb) => schedule(when, cb),
+		clearSchedule: handle => clearSchedule(handle),
+		on: (pattern, cb) => on(pattern, cb),
+		unsubscribe: handle => unsubscribe(handle),
+		sendTo: (instance, command, message) => sendTo(instance, command, message),
+		onStop: cb => onStop(cb)
+	};
+}
+
+/**
+ * In-memory runtime: `states` seeds the store ({ id: value }), `now` fixes the clock.
+ */
+function memoryRuntime({ states = {}, now = null, logLevel = 'info' } = {}) {
+	const store = new Map();
+	const objects = {};
+	const subs = [];
+	const jobs = [];
+	const messages = [];
+	let clock = now;
+	const rt = {
+		name: 'memory',
+		jobs,
+		messages,
+		now: () => (clock ?? Date.now()),
+		setNow: ts => { clock = ts; },
+		setLogLevel: level => { logLevel = level; },
+		log: (msg, level = 'info') => {
+			if (LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(logLevel)) console.error(`[${level}] ${msg}`);
+		},
+		getState: id => store.get(id) || null,
+		setState: (id, val, ack = false) => {
+			const st = { val, ack: !!ack, ts: rt.now() };
+			store.set(id, st);
+			subs.filter(s => s.id === id && (s.ack === undefined || s.ack === st.ack)).forEach(s => s.cb({ id, state: st }));
+		},
+		existsState: id => store.has(id),
+		createState: (id, common = {}) => {
+			if (!store.has(id)) store.set(id, { val: common.def ?? null, ack: true, ts: rt.now() });
+			objects[id] = { common };
+		},
+		getObject: id => objects[id] || null,
+		schedule: (when, cb) => { const job = { when, cb }; jobs.push(job); return job; },
+		clearSchedule: job => { const i = jobs.indexOf(job); if (i >= 0) jobs.splice(i, 1); return i >= 0; },
+		on: (pattern, cb) => {
+			const sub = { id: typeof pattern === 'string' ? pattern : pattern.id, ack: pattern.ack, cb };
+			subs.push(sub);
+			return sub;
+		},
+		unsubscribe: sub => { const i = subs.indexOf(sub); if (i >= 0) subs.splice(i, 1); return i >= 0; },
+		sendTo: (instance, command, message) => { messages.push({ instance, command, message, ts: rt.now() }); },
+		onStop: () => {},
+		dump: () => Object.fromEntries([...store].map(([id, st]) => [id, st.val])),
+		reset: () => { store.clear(); jobs.length = 0; messages.length = 0; }
+	};
+	Object.entries(states).forEach(([id, val]) => rt.setState(id, val, true));
+	return rt;
+}
+
+const RT = IS_IOBROKER ? ioBrokerRuntime() : memoryRuntime();
+
 // ==== IMPORTS & CONFIG ====
-const fetch = require('node-fetch');    // ioBroker script adapter: load node-fetch
+const fetch = IS_IOBROKER ? require('node-fetch') : globalThis.fetch;    // ioBroker script adapter: load node-fetch (plain Node: built-in)
 const fs = require('fs');               // used for loading the config
+const crypto = require('crypto');       // inputs hash of the plan history
+const http = require('http');           // embedded HTTP API
+const { URL } = require('url');         // not a global in the ioBroker sandbox
+const { StringDecoder } = require('string_decoder'); // request bodies split across chunks
 
-//change to the final ioBroker-enviroment
+//change to the final ioBroker-enviroment (or set the environment variable EDP_ROOT_DIR)
 //make sure that you mirror the scripts to file system (Instance-Setting -> Mirror scripts to file path)
-const rootDir = '/opt/iobroker/iobroker-data/scripts/Energy-Distribution_Planner'
+//outside ioBroker the directory of this file is used
+const rootDir = process.env.EDP_ROOT_DIR || (IS_IOBROKER ? '/opt/iobroker/iobroker-data/scripts/Energy-Distribution_Planner' : __dirname);
+const CONFIG_FILE = 'config.json';                 //rename if you change the name
+const CONFIG_SAMPLE_FILE = 'config.sample.json';   //rename if you change the name
+
+/**
+ * Config schema: legacy flat key → { path, type, unit, min, max, def, enum, fields | items }.
+ * `path` is the location in the nested layout (general / tariffs / devices /
+ * consumers); a nested value wins over its flat key. Entries without `def`
+ * are optional. Invalid values fall back to the default and are reported
+ * in `config.statusJson`.
+ */
+const NUM = (def, unit, min, max) => ({ type: 'number', def, unit, min, max });
+const OPT = (unit, min, max) => ({ type: 'number', unit, min, max });
+const CONFIG_SCHEMA = {
+	TZ:                  { path: 'general.timezone', type: 'string', def: 'Europe/Berlin' },
+	SET_PLANS:           { path: 'general.setPlans', type: 'boolean', def: false },
+	SLOT_MINUTES:        { path: 'general.slotMinutes', type: 'integer', def: 60, unit: 'min', enum: [15, 30, 60] },
+	BACKTEST:            { path: 'general.backtest', type: 'object', def: {}, fields: {
+		socStart:  NUM(50, '%', 0, 100),
+		nightFrom: { type: 'string', def: '00:00' },
+		hpFrom:    { type: 'string', def: '12:00' },
+		ev:        { type: 'object', def: {}, fields: {
+			dailyKWh: NUM(10, 'kWh', 0, 200),
+			arrive:   { type: 'string', def: '18:00' },
+			depart:   { type: 'string', def: '07:00' }
+		} }
+	} },
+	ACCOUNTING:          { path: 'general.accounting', type: 'object', def: {}, fields: {
+		exportState: { type: 'string', def: '' },
+		historyDays: NUM(400, 'd', 31, 3650)
+	} },
+	NOTIFY:              { path: 'general.notify', type: 'object', def: {}, fields: {
+		channels:   { type: 'array', def: [], items: { type: 'object', fields: {
+			type:        { type: 'string', enum: ['telegram', 'pushover', 'email', 'signal'] },
+			instance:    { type: 'string' },
+			minSeverity: { type: 'string', def: 'info', enum: ['info', 'warn', 'error'] },
+			to:          { type: 'string' }
+		} } },
+		digestTime: { type: 'string', def: '14:00' },
+		lowCtKWh:   NUM(0, 'ct/kWh', -100, 100),
+		highCtKWh:  NUM(40, 'ct/kWh', 0, 500),
+		staleMin:   NUM(30, 'min', 5, 1440),
+		dedupH:     NUM(6, 'h', 0, 168)
+	} },
+	DATA_ACQUISITION:    { path: 'general.dataAcquisition', type: 'object', def: {}, fields: {
+		timeoutS: NUM(15, 's', 1, 300),
+		retries:  { type: 'integer', def: 3, min: 0, max: 10 },
+		backoffS: NUM(2, 's', 0, 300),
+		fallback: { type: 'object', def: {}, fields: {
+			enabled:    { type: 'boolean', def: true },
+			nightFrom:  { type: 'string', def: '22:00' },
+			nightTo:    { type: 'string', def: '06:00' },
+			nightCtKWh: NUM(25, 'ct/kWh', -100, 200),
+			dayCtKWh:   NUM(35, 'ct/kWh', -100, 200)
+		} }
+	} },
+	PLAN_HISTORY:        { path: 'general.planHistory', type: 'object', def: {}, fields: {
+		enabled: { type: 'boolean', def: true },
+		dir:     { type: 'string', def: 'history' },
+		maxRuns: { type: 'integer', def: 168, min: 1, max: 10000 }
+	} },
+	HTTP_API:            { path: 'general.httpApi', type: 'object', def: {}, fields: {
+		enabled: { type: 'boolean', def: false },
+		port:    { type: 'integer', def: 8095, min: 1, max: 65535 },
+		bind:    { type: 'string', def: '127.0.0.1' },
+		token:   { type: 'string', def: '' }
+	} },
+	CONTROL_OVERRIDES:   { path: 'general.overrides', type: 'object', def: {}, fields: {
+		evChargeNowH: NUM(4, 'h', 0.5, 48),
+		dhwBoostH:    NUM(2, 'h', 0.5, 12),
+		boostK:       NUM(5, 'K', 1, 15),
+		pauseAllH:    NUM(24, 'h', 1, 720),
+		skipUntil:    { type: 'string', def: '12:00' }
+	} },
+	CHEAP_CUTOFF_EURKWH: { path: 'tariffs.cheapCutoffEurKWh', ...NUM(0.20, '€/kWh', -1, 2) },
+	BATTERY_PENALTY:     { path: 'tariffs.batteryPenaltyEurKWh', ...NUM(0.05, '€/kWh', 0, 1) },
+	PRICE_SOURCE:        { path: 'tariffs.priceSource', type: 'object', def: { type: 'awattar', country: 'de' }, fields: {
+		type: { type: 'string', def: 'awattar' }
+	} },
+	TARIFF:              { path: 'tariffs.tariff', type: 'object', def: {}, fields: {
+		markupPct:      OPT('%', -100, 1000),
+		fixedCtKWh:     OPT('ct/kWh', -100, 100),
+		gridFeeCtKWh:   OPT('ct/kWh', 0, 100),
+		vatPct:         OPT('%', 0, 100),
+		gridFeeWindows: { type: 'array', items: { type: 'object', fields: {
+			from:  { type: 'string' },
+			to:    { type: 'string' },
+			ctKWh: NUM(0, 'ct/kWh', 0, 100)
+		} } },
+		feedIn:         { type: 'object', fields: { mode: { type: 'string', enum: ['fixed', 'spot'] } } }
+	} },
+	LOW_PRICE_MODE:      { path: 'tariffs.lowPriceMode', type: 'object', def: {}, fields: {
+		enabled:        { type: 'boolean', def: false },
+		thresholdCtKWh: NUM(0, 'ct/kWh', -100, 100),
+		battery:        { type: 'boolean', def: true },
+		ev:             { type: 'boolean', def: true },
+		dhwBoostK:      NUM(5, 'K', 0, 15),
+		heatOffsetK:    NUM(3, 'K', 0, 10),
+		feedInLimit:    { type: 'object', def: {}, fields: {
+			state: { type: 'string', def: '' }
+		} }
+	} },
+	BATTERY:             { path: 'devices.battery', type: 'object', def: {}, fields: {
+		capacityKWh:         NUM(10, 'kWh', 0.1, 1000),
+		maxChargeKW:         NUM(5, 'kW', 0.1, 100),
+		maxDischargeKW:      NUM(5, 'kW', 0.1, 100),
+		roundtripEfficiency: NUM(0.9, '', 0.5, 1)
+	} },
+	BYD_SOC_MIN_DAY:     { path: 'devices.battery.socMinDay', ...NUM(40, '%', 0, 100) },
+	BYD_SOC_MIN_NIGHT:   { path: 'devices.battery.socMinNight', ...NUM(10, '%', 0, 100) },
+	BATTERY_GRID_CHARGE: { path: 'devices.battery.gridCharge', type: 'object', def: {}, fields: {
+		enabled:         { type: 'boolean', def: false },
+		maxPvKWh:        NUM(8, 'kWh', 0, 1000),
+		cycleWearEurKWh: NUM(0, '€/kWh', 0, 1),
+		control:         { type: 'object' }
+	} },
+	PV_FORECAST:         { path: 'devices.pv', type: 'object', def: {}, fields: {
+		source:           { type: 'string', def: 'auto', enum: ['auto', 'plenticore', 'model'] },
+		latitude:         OPT('°', -90, 90),
+		longitude:        OPT('°', -180, 180),
+		systemEfficiency: NUM(0.85, '', 0.3, 1),
+		albedo:           NUM(0.2, '', 0, 1),
+		learnDays:        NUM(30, 'd', 1, 365),
+		strings:          { type: 'array', def: [], items: { type: 'object', fields: {
+			kWp:     OPT('kWp', 0, 1000),
+			tilt:    NUM(30, '°', 0, 90),
+			azimuth: NUM(180, '°', 0, 360)
+		} } },
+		cloudCover:       { type: 'object', def: {} }
+	} },
+	HP_POWER_KW:         { path: 'devices.heatPump.powerKW', ...NUM(2, 'kW', 0.1, 50) },
+	HEAT_PUMP:           { path: 'devices.heatPump', type: 'object', def: {}, fields: {
+		minGapH: NUM(0, 'h', 0, 24),
+		heating: { type: 'object', def: {}, fields: {
+			heatLossWPerK: NUM(150, 'W/K', 0, 5000),
+			indoorC:       NUM(21, '°C', 10, 30),
+			heatingLimitC: NUM(15, '°C', -10, 30),
+			cop:           NUM(3.5, '', 1, 10),
+			minRunH:       NUM(2, 'h', 1, 24)
+		} },
+		dhw:     { type: 'object', def: {}, fields: {
+			tankLiters: NUM(300, 'l', 10, 5000),
+			minC:       NUM(45, '°C', 20, 80),
+			maxC:       NUM(55, '°C', 20, 80),
+			lossKPerH:  NUM(0.3, 'K/h', 0, 5),
+			cop:        NUM(2.5, '', 1, 10),
+			minRunH:    NUM(1, 'h', 1, 24)
+		} }
+	} },
+	ACTUATORS:           { path: 'devices.actuators', type: 'object', def: {}, fields: {
+		dailyWriteBudget: NUM(24, 'Schreibvorgänge/Tag', 0, 1000),
+		budgets:          { type: 'object', def: {} }
+	} },
+	GRID_LIMIT:          { path: 'devices.grid', type: 'object', def: {}, fields: {
+		maxImportKW:    OPT('kW', 0, 1000),
+		limitWindows:   { type: 'array', def: [], items: { type: 'object', fields: {
+			from: { type: 'string' },
+			to:   { type: 'string' },
+			kW:   OPT('kW', 0, 1000)
+		} } },
+		priorities:     { type: 'object', def: {}, fields: {
+			ev:        NUM(3, '', 0, 10),
+			hp:        NUM(2, '', 0, 10),
+			appliance: NUM(1, '', 0, 10)
+		} },
+		solverBudgetMs: NUM(1000, 'ms', 0, 60000)
+	} },
+	HOUSE_BASE_LOAD_W:   { path: 'consumers.house.baseLoadW', ...NUM(400, 'W', 0, 20000) },
+	LOAD_FORECAST:       { path: 'consumers.house.loadForecast', type: 'object', def: {}, fields: {
+		historyDays:    NUM(28, 'd', 1, 365),
+		holidays:       { type: 'array', def: [] },
+		tempCoeffWPerK: NUM(0, 'W/K', -1000, 1000)
+	} },
+	EV_TARGET_KWH:       { path: 'consumers.ev.targetKWh', ...NUM(30, 'kWh', 0, 200) },
+	EV_CHARGE_POWER_KW:  { path: 'consumers.ev.chargePowerKW', ...NUM(3.6, 'kW', 1, 50) },
+	EV_PV_THRESHOLD_KWH: { path: 'consumers.ev.pvThresholdKWh', ...NUM(12, 'kWh', 0, 1000) },
+	EV_MANUAL_PAUSE_H:   { path: 'consumers.ev.manualPauseH', ...NUM(12, 'h', 0, 168) },
+	EV_MIN_SURPLUS_W:    { path: 'consumers.ev.minSurplusW', ...NUM(2000, 'W', 0, 50000) },
+	EV_LOADPOINTS:       { path: 'consumers.ev.loadpoints', type: 'array', def: [], items: { type: 'object', fields: {
+		id:               { type: 'integer', def: 1, min: 1 },
+		name:             { type: 'string' },
+		capacityKWh:      OPT('kWh', 1, 300),
+		targetSoc:        OPT('%', 1, 100),
+		chargeEfficiency: OPT('', 0.5, 1),
+		phases:           { type: 'integer', min: 1, max: 3 },
+		maxCurrentA:      OPT('A', 6, 63),
+		maxPowerKW:       OPT('kW', 1, 50),
+		nightOnly:        { type: 'boolean' },
+		departure:        { type: 'object' },
+		priority:         OPT('', 0, 10)
+	} } },
+	APPLIANCES:          { path: 'consumers.appliances', type: 'array', def: [], items: { type: 'object', fields: {
+		id:            { type: 'string' },
+		name:          { type: 'string' },
+		energyKWh:     OPT('kWh', 0, 100),
+		powerW:        OPT('W', 0, 50000),
+		profileW:      { type: 'array' },
+		profileMin:    NUM(15, 'min', 1, 240),
+		durationH:     OPT('h', 0.1, 24),
+		continuous:    { type: 'boolean', def: true },
+		earliestStart: { type: 'string' },
+		latestFinish:  { type: 'string' },
+		readyState:    { type: 'string' },
+		state:         { type: 'string' },
+		priority:      OPT('', 0, 10)
+	} } },
+	SURPLUS_CONTROL:     { path: 'consumers.surplus', type: 'object', def: {}, fields: {
+		enabled:    { type: 'boolean', def: false },
+		smoothingS: NUM(120, 's', 1, 3600),
+		loads:      { type: 'array', def: [], items: { type: 'object', fields: {
+			type:   { type: 'string', enum: ['ev', 'dhw'] },
+			startW: OPT('W', 0, 50000),
+			stopW:  OPT('W', 0, 50000),
+			powerW: OPT('W', 0, 50000)
+		} } }
+	} }
+};
+const CONFIG_SECTIONS = ['general', 'tariffs', 'devices', 'consumers'];
+
+function getPath(obj, path) { return path.split('.').reduce((o, k) => (o && typeof o === 'object' ? o[k] : undefined), obj); }
+
+/**
+ * Validate one value against its schema entry; returns the value to use.
+ * Problems are appended to `errors` (German, shown in the status state).
+ */
+function validateConfigValue(key, spec, val, errors) {
+	const clone = v => (v === undefined ? undefined : JSON.parse(JSON.stringify(v)));
+	if (val === undefined || val === null) {
+		return spec.type === 'object' && spec.fields && spec.def !== undefined
+			? validateConfigValue(key, spec, clone(spec.def), errors)
+			: clone(spec.def);
+	}
+	const fail = msg => {
+		errors.push(`${key}: ${msg}${spec.def !== undefined ? ` → Standard ${JSON.stringify(spec.def)}` : ' → ignoriert'}`);
+		return validateConfigValue(key, spec, undefined, errors);
+	};
+	const unit = spec.unit ? ` ${spec.unit}` : '';
+
+	switch (spec.type) {
+		case 'number':
+		case 'integer':
+			if (typeof val !== 'number' || !isFinite(val)) return fail(`Zahl erwartet, ist ${JSON.stringify(val)}`);
+			if (spec.type === 'integer' && !Number.isInteger(val)) return fail(`ganze Zahl erwartet, ist ${val}`);
+			if ((spec.min !== undefined && val < spec.min) || (spec.max !== undefined && val > spec.max)) {
+				return fail(`${val}${unit} außerhalb ${spec.min ?? '−∞'}…${spec.max ?? '∞'}${unit}`);
+			}
+			if (spec.enum && !spec.enum.includes(val)) return fail(`${val}${unit} ungültig (erlaubt: ${spec.enum.join(', ')})`);
+			return val;
+		case 'boolean':
+			return typeof val === 'boolean' ? val : fail(`true/false erwartet, ist ${JSON.stringify(val)}`);
+		case 'string':
+			if (typeof val !== 'string') return fail(`Text erwartet, ist ${JSON.stringify(val)}`);
+			if (spec.enum && !spec.enum.includes(val)) return fail(`'${val}' ungültig (erlaubt: ${spec.enum.join(', ')})`);
+			return val;
+		case 'array':
+			if (!Array.isArray(val)) return fail('Liste erwartet');
+			return spec.items
+				? val.map((x, i) => validateConfigValue(`${key}[${i}]`, spec.items, x, errors)).filter(x => x !== undefined)
+				: val;
+		case 'object': {
+			if (typeof val !== 'object' || Array.isArray(val)) return fail('Objekt erwartet');
+			const out = { ...val };
+			for (const [f, fspec] of Object.entries(spec.fields || {})) {
+				const v = validateConfigValue(`${key}.${f}`, fspec, val[f], errors);
+				if (v === undefined) delete out[f]; else out[f] = v;
+			}
+			return out;
+		}
+		default:
+			return val;
+	}
+}
+
+/**
+ * Map a raw (nested or legacy flat) config onto the flat keys and validate it.
+ */
+function normalizeConfig(raw) {
+	const errors = [];
+	const cfg = {};
+	for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+		const nested = getPath(raw, spec.path);
+		cfg[key] = validateConfigValue(key, spec, nested !== undefined ? nested : raw[key], errors);
+	}
+	Object.keys(raw)
+		.filter(k => !(k in CONFIG_SCHEMA) && !CONFIG_SECTIONS.includes(k))
+		.forEach(k => errors.push(`${k}: unbekannter Schlüssel → ignoriert`));
+	return { cfg, errors };
+}
 
-//load the config
+/**
+ * Read config.json (fallback: config.sample.json). A JSON syntax error
+ * returns cfg = null, so the caller can keep the previous configuration.
+ */
 function loadConfig() {
-    const configPath = `${rootDir}/config.json`;          //rename if you change the name
-    const samplePath = `${rootDir}/config.sample.json`;   //rename if you change the name
-    
-    if (fs.existsSync(configPath)) {
-        return JSON.parse(fs.readFileSync(configPath, 'utf8'));
-    } else {
-        return JSON.parse(fs.readFileSync(samplePath, 'utf8'));
-    }
-}
-const CFG = loadConfig();
-
-// unpack the config values
-const {
-  TZ,
-  CHEAP_CUTOFF_EURKWH,		// €/kWh threshold below which the EV charges at night
-  BYD_SOC_MIN_DAY,			// Min. SOC at day
-  BYD_SOC_MIN_NIGHT,		// Min. SOC at night
-  EV_MIN_SURPLUS_W,			// 1-phase 3.6kW: 2kW start threshold is sensible
-  BATTERY_PENALTY,			// €/kWh estimated roundtrip cost when battery must be used
-  SET_PLANS,				// true => schedules are actually applied (production)
-  EV_TARGET_KWH,			// target energy for the EV
-  EV_CHARGE_POWER_KW		// assumed charge power (kW) – adjust to your setup
-} = CFG;    
+	const configPath = `${rootDir}/${CONFIG_FILE}`;
+	const samplePath = `${rootDir}/${CONFIG_SAMPLE_FILE}`;
+	const file = fs.existsSync(configPath) ? configPath : samplePath;
+	try {
+		return { file, ...normalizeConfig(JSON.parse(fs.readFileSync(file, 'utf8'))) };
+	} catch (e) {
+		return { file, cfg: null, errors: [`${file}: ${e.message}`] };
+	}
+}
+
+// config values (assigned by applyConfig, defaults and units see CONFIG_SCHEMA)
+let TZ,
+	CHEAP_CUTOFF_EURKWH,	// €/kWh threshold (effective price incl. TARIFF) below which the EV charges at night
+	BYD_SOC_MIN_DAY,		// Min. SOC at day
+	BYD_SOC_MIN_NIGHT,		// Min. SOC at night
+	EV_MIN_SURPLUS_W,		// 1-phase 3.6kW: 2kW start threshold is sensible (default startW of EV surplus loads)
+	BATTERY_PENALTY,		// €/kWh estimated roundtrip cost when battery must be used
+	SET_PLANS,				// true => schedules are actually applied (production)
+	SLOT_MINUTES,			// slot resolution of prices, forecasts and plans (15, 30 or 60 min)
+	EV_TARGET_KWH,			// target energy for the EV
+	EV_CHARGE_POWER_KW,		// assumed charge power (kW) – adjust to your setup
+	EV_LOADPOINTS,			// per-loadpoint vehicle config, see evLoadpoints()
+	EV_PV_THRESHOLD_KWH,	// PV forecast (kWh) above which night-only loadpoints charge by PV
+	EV_MANUAL_PAUSE_H,		// hours the mode automation pauses after a manual evcc mode change
+	APPLIANCES,				// deferrable appliances (dishwasher, washer, …), see DEFERRABLE APPLIANCES below
+	SURPLUS_CONTROL,		// real-time PV surplus controller, see SURPLUS CONTROLLER below
+	PRICE_SOURCE,			// price provider, see PRICE PROVIDERS below
+	TARIFF,					// end-customer price composition, see TARIFF below
+	LOW_PRICE_MODE,			// consumption boost and feed-in limit in negative-price slots, see LOW PRICE MODE below
+	BATTERY,				// { capacityKWh, maxChargeKW, maxDischargeKW, roundtripEfficiency }
+	HOUSE_BASE_LOAD_W,		// expected house load (W) without EV/HP, fallback for the load forecast
+	LOAD_FORECAST,			// learned base-load profile, see LOAD FORECAST below
+	BATTERY_GRID_CHARGE,	// grid charging / arbitrage, see buildBatteryPlan()
+	PV_FORECAST,			// PV forecast source and built-in model, see PV FORECAST MODEL below
+	HP_POWER_KW,			// electrical heat pump power (kW) while a planned slot runs
+	HEAT_PUMP,				// thermal demand model, see HEAT PUMP PLANNING below
+	ACTUATORS,				// daily write budgets, see ACTUATOR JOBS below
+	GRID_LIMIT,				// house connection import cap and consumer priorities, see LOAD ALLOCATOR below
+	CONTROL_OVERRIDES,		// durations of the control.* switches, see MANUAL OVERRIDES below
+	NOTIFY,					// messaging adapter channels and alert thresholds, see NOTIFICATIONS below
+	DATA_ACQUISITION,		// fetch timeouts/retries and the fallback night window, see DATA ACQUISITION below
+	PLAN_HISTORY,			// versioned plan records and run-to-run diffs, see PLAN HISTORY below
+	HTTP_API,				// embedded HTTP API and Prometheus exporter, see HTTP API below
+	BACKTEST,				// replay model for --backtest, see BACKTEST below
+	ACCOUNTING;				// actual cost / KPI accounting, see ACCOUNTING below
+
+function applyConfig(cfg) {
+	({
+		TZ, CHEAP_CUTOFF_EURKWH, BYD_SOC_MIN_DAY, BYD_SOC_MIN_NIGHT, EV_MIN_SURPLUS_W, BATTERY_PENALTY,
+		SET_PLANS, SLOT_MINUTES, EV_TARGET_KWH, EV_CHARGE_POWER_KW, EV_LOADPOINTS, EV_PV_THRESHOLD_KWH, EV_MANUAL_PAUSE_H,
+		APPLIANCES, SURPLUS_CONTROL, PRICE_SOURCE, TARIFF, LOW_PRICE_MODE, BATTERY, HOUSE_BASE_LOAD_W, LOAD_FORECAST, BATTERY_GRID_CHARGE,
+		PV_FORECAST, HP_POWER_KW, HEAT_PUMP, ACTUATORS, GRID_LIMIT, CONTROL_OVERRIDES, NOTIFY, DATA_ACQUISITION, PLAN_HISTORY, HTTP_API, BACKTEST, ACCOUNTING
+	} = cfg);
+}
+
+// load the config; a broken file at startup falls back to the schema defaults
+let CONFIG_STATUS = { ...loadConfig(), loadedAt: new Date(RT.now()).toISOString() };
+applyConfig(CONFIG_STATUS.cfg || normalizeConfig({}).cfg);
+CONFIG_STATUS.errors.forEach(e => RT.log(`⚠️ Konfiguration: ${e}`, 'warn'));
 
 // ==== STATE PATHS ====
 const ST = {
@@ -57,9 +467,6 @@ const ST = {
 	gridPower:    'plenticore.0.devices.local.HomeGrid_P',
 	houseLoad:    'plenticore.0.devices.local.Home_P',
 	bydSoc:       'plenticore.0.devices.local.battery.SoC',
-	evConnected:  'evcc.0.loadpoints.1.connected',
-	evModeSet:    'evcc.0.loadpoints.1.mode/set',     // pv | now | min | off
-	evPlanEnergy: 'evcc.0.loadpoints.1.plan.energy',  // write JSON
 	hpDhwSet:     'idm.0.modbus.dhw.setpoint',
 	hpEnable:     'idm.0.modbus.enable',
 	hpFlowOffset: 'idm.0.modbus.flow.offset',
@@ -74,15 +481,17 @@ const GRAFANA_BASE = '0_userdata.0.EnergyDistriPlanner';
 const DETAIL_BASE = `${GRAFANA_BASE}.details`;
 const DETAIL_MAX = 9;           // ring buffer size
 const DETAIL_LOGS = [];         // { ts, level, msg }
+let DLOG_MUTED = false;         // true while the load allocator evaluates alternatives
+let PLAN_LOG = null;            // all dlog lines of the current planning run (plan history)
 
 /**
  * Ensure state exists with a safe default.
  */
 function ensureState(id, common = { type: 'string', read: true, write: true, def: '' }) {
 	try {
-		if (!existsState(id)) createState(id, common);
+		if (!RT.existsState(id)) RT.createState(id, common);
 	} catch (e) {
-		log(`⚠️ ensureState failed for ${id}: ${e}`, 'warn');
+		RT.log(`⚠️ ensureState failed for ${id}: ${e}`, 'warn');
 	}
 }
 
@@ -91,10 +500,10 @@ function ensureState(id, common = { type: 'string', read: true, write: true, def
  */
 function setVal(id, value) {
 	try {
-		if (!existsState(id)) ensureState(id, { type: 'string', read: true, write: true, def: '' });
-		setState(id, value, true);
+		if (!RT.existsState(id)) ensureState(id, { type: 'string', read: true, write: true, def: '' });
+		RT.setState(id, value, true);
 	} catch (e) {
-		log(`setVal: failed for ${id}: ${e}`, 'warn');
+		RT.log(`setVal: failed for ${id}: ${e}`, 'warn');
 	}
 }
 
@@ -103,10 +512,10 @@ function setVal(id, value) {
  */
 function getVal(id, def = null, { json = false, trace = false } = {}) {
 	try {
-		const st = getState(id);
+		const st = RT.getState(id);
 		if (!st || st.val === undefined || st.val === null) {
 			const msg = `getVal: state missing/empty → ${id}`;
-			trace ? log(`${msg}\n${new Error().stack}`, 'warn') : log(msg, 'warn');
+			trace ? RT.log(`${msg}\n${new Error().stack}`, 'warn') : RT.log(msg, 'warn');
 			return def;
 		}
 		let v = st.val;
@@ -114,13 +523,13 @@ function getVal(id, def = null, { json = false, trace = false } = {}) {
 			try {
 				v = JSON.parse(v);
 			} catch (e) {
-				log(`getVal: JSON parse error for ${id}: ${e}`, 'warn');
+				RT.log(`getVal: JSON parse error for ${id}: ${e}`, 'warn');
 				return def;
 			}
 		}
 		return v;
 	} catch (e) {
-		log(`getVal: unexpected error for ${id}: ${e}`, 'warn');
+		RT.log(`getVal: unexpected error for ${id}: ${e}`, 'warn');
 		return def;
 	}
 }
@@ -143,11 +552,14 @@ function ensureDetailStates() {
  * Detail logger:
  *  - writes to normal log
  *  - also pushes a compact entry into ring buffer (used for Grafana)
+ *  - silent while DLOG_MUTED is set
  */
 function dlog(message, level = 'info') {
-	try { log(message, level); } catch (e) { /* ignore */ }
+	if (DLOG_MUTED) return;
+	try { RT.log(message, level); } catch (e) { /* ignore */ }
+	if (PLAN_LOG) PLAN_LOG.push(String(message));
 	try {
-		DETAIL_LOGS.push({ ts: new Date().toISOString(), level: String(level || 'info'), msg: String(message) });
+		DETAIL_LOGS.push({ ts: new Date(RT.now()).toISOString(), level: String(level || 'info'), msg: String(message) });
 		if (DETAIL_LOGS.length > DETAIL_MAX) DETAIL_LOGS.splice(0, DETAIL_LOGS.length - DETAIL_MAX);
 	} catch (e) { /* ignore */ }
 }
@@ -195,19 +607,45 @@ function flushDetailStates() {
 // ==== HELPERS ====
 function eurMWhToEurKWh(x) { return x / 1000; }
 function isNight(h) { return (h >= 22 || h < 6); }
-function localHour(ms) { return new Date(ms).toLocaleString('en-GB', { timeZone: TZ, hour: '2-digit', hour12: false }); }
+
+/**
+ * Slot length in ms / hours (config SLOT_MINUTES).
+ */
+function slotMs() { return SLOT_MINUTES * 60e3; }
+function slotHours() { return SLOT_MINUTES / 60; }
+
+/**
+ * Intl formatter in TZ, cached per name: toLocaleString() builds a new one
+ * on every call, which dominates the allocator's repeated simulations.
+ */
+const LOCAL_FORMATS = {};       // name → { tz, fmt }
+function localFormat(name, locale, opts) {
+	const c = LOCAL_FORMATS[name];
+	if (c && c.tz === TZ) return c.fmt;
+	const fmt = new Intl.DateTimeFormat(locale, { timeZone: TZ, ...opts });
+	LOCAL_FORMATS[name] = { tz: TZ, fmt };
+	return fmt;
+}
+
+function localHour(ms) { return localFormat('hour', 'en-GB', { hour: '2-digit', hour12: false }).format(new Date(ms)); }
 function parseNum(x) { if (x === null || x === undefined) return NaN; return Number(String(x).replace(',', '.')); }
 
+/**
+ * Milliseconds from a Date, unix seconds/ms or a date string (NaN if invalid).
+ */
+function toMs(ts) {
+	if (ts instanceof Date) return ts.getTime();
+	if (!isNaN(ts)) return Number(ts) < 1e12 ? Number(ts) * 1000 : Number(ts);
+	return new Date(ts).getTime();
+}
+
 /**
  * Get hour (0..23) in local timezone from a variety of timestamp inputs.
  */
 function hourLocal(ts) {
-	let d;
-	if (ts instanceof Date) d = ts;
-	else if (!isNaN(ts)) d = new Date(Number(ts) < 1e12 ? Number(ts) * 1000 : Number(ts));
-	else d = new Date(ts);
-	if (isNaN(d.getTime())) return NaN;
-	return Number(d.toLocaleString('en-GB', { timeZone: TZ, hour: '2-digit', hour12: false }));
+	const ms = toMs(ts);
+	if (isNaN(ms)) return NaN;
+	return Number(localHour(ms));
 }
 
 /**
@@ -221,9 +659,145 @@ function formatDateDE(ts) {
 	});
 }
 
+/**
+ * Local "HH:mm" of a timestamp as minutes since midnight (TZ Europe/Berlin).
+ */
+function localMinuteOfDay(ms) {
+	const [hh, mm] = localFormat('hm', 'en-GB', { hour: '2-digit', minute: '2-digit', hour12: false }).format(new Date(ms)).split(':');
+	return (Number(hh) % 24) * 60 + Number(mm);
+}
+
+/**
+ * Local weekday of a timestamp (0 = Sunday .. 6 = Saturday).
+ */
+function localWeekday(ms) {
+	const wd = localFormat('weekday', 'en-US', { weekday: 'short' }).format(new Date(ms));
+	return ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(wd);
+}
+
+/**
+ * Parse "HH:mm" into minutes since midnight.
+ */
+function parseHHMM(str) {
+	const m = /^(\d{1,2}):(\d{2})$/.exec(String(str || '').trim());
+	return m ? Number(m[1]) * 60 + Number(m[2]) : NaN;
+}
+
+/**
+ * Offset (ms) of TZ against UTC at the given instant.
+ */
+function tzOffsetMs(ms) {
+	const d = new Date(ms);
+	const loc = new Date(d.toLocaleString('en-US', { timeZone: TZ }));
+	const utc = new Date(d.toLocaleString('en-US', { timeZone: 'UTC' }));
+	return loc.getTime() - utc.getTime();
+}
+
+/**
+ * Timestamp of a local date ("YYYY-MM-DD") and time ("HH:mm") in TZ.
+ */
+function localTimeToTs(dateISO, hhmm) {
+	const min = parseHHMM(hhmm);
+	const guess = Date.parse(`${dateISO}T00:00:00Z`) + min * 60e3;
+	return guess - tzOffsetMs(guess);
+}
+
+/**
+ * Local calendar date of a timestamp as "YYYY-MM-DD".
+ */
+function localDateISO(ms) { return localFormat('date', 'sv-SE', { year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(ms)); }
+
+/**
+ * True if the local time of `ms` lies in window { from: 'HH:mm', to: 'HH:mm', days? }.
+ * Windows with from > to wrap midnight; days uses 0 = Sunday (default: all days).
+ */
+function inTimeWindow(win, ms) {
+	if (win.days && !win.days.includes(localWeekday(ms))) return false;
+	const min = localMinuteOfDay(ms);
+	const from = parseHHMM(win.from);
+	const to = parseHHMM(win.to);
+	return (from <= to) ? (min >= from && min < to) : (min >= from || min < to);
+}
+
+/**
+ * Resolve a config path relative to rootDir.
+ */
+function resolvePath(p) { return String(p).startsWith('/') ? String(p) : `${rootDir}/${p}`; }
+
+/**
+ * Time series [{ ts, <key> }] from a JSON file or state ({ file, state }):
+ * [{ start|time, <key> }] or a single number (constant). Null if unavailable.
+ */
+function readSeries(src, key) {
+	let raw = null;
+	try {
+		if (src.file && fs.existsSync(resolvePath(src.file))) raw = JSON.parse(fs.readFileSync(resolvePath(src.file), 'utf8'));
+		else if (src.state && RT.existsState(src.state)) raw = getVal(src.state, null, { json: true });
+	} catch (e) {
+		RT.log(`readSeries: read error (${src.file || src.state}): ${e}`, 'warn');
+	}
+	if (typeof raw === 'number' || typeof raw === 'string') {
+		const v = parseNum(raw);
+		return isNaN(v) ? null : [{ ts: 0, [key]: v }];
+	}
+	if (!Array.isArray(raw)) return null;
+	const series = raw
+		.map(x => ({ ts: typeof (x.start ?? x.time) === 'number' ? (x.start ?? x.time) : Date.parse(x.start ?? x.time), [key]: parseNum(x[key]) }))
+		.filter(x => !isNaN(x.ts) && !isNaN(x[key]))
+		.sort((a, b) => a.ts - b.ts);
+	return series.length ? series : null;
+}
+
+/**
+ * Series entry nearest to ts.
+ */
+function nearestEntry(series, ts) {
+	let best = series[0];
+	for (const x of series) if (Math.abs(x.ts - ts) < Math.abs(best.ts - ts)) best = x;
+	return best;
+}
+
 function fmtTimeHM(d) { return d.toLocaleTimeString('de-DE', { timeZone: TZ, hour: '2-digit', minute: '2-digit' }); }
 function fmtTimeHMS(d) { return d.toLocaleTimeString('de-DE', { timeZone: TZ, hour: '2-digit', minute: '2-digit', second: '2-digit' }); }
 
+/**
+ * Integrate a power sample into an energy bucket; the previous power holds
+ * until `ts`. `powerW` is a number (integrated into `wh`) or an object of
+ * powers by energy field. `end(bucket)` is the bucket end, `open(ts)` starts
+ * the bucket containing ts and `close(bucket)` stores a finished one; a bucket
+ * with `coveredMs` also counts the integrated time. Gaps longer than 15 min
+ * and out-of-order samples are not integrated. Returns the open bucket.
+ */
+function integrateEnergy(bucket, ts, powerW, { end, open, close }) {
+	if (bucket && bucket.lastTs && ts < bucket.lastTs) return bucket;
+	if (bucket && bucket.lastTs && ts - bucket.lastTs <= 15 * 60e3) {
+		let t = bucket.lastTs;
+		while (t < ts) {
+			const segEnd = Math.min(ts, end(bucket));
+			const lastW = bucket.lastW;
+			if (typeof lastW === 'number') bucket.wh += lastW * (segEnd - t) / 3600e3;
+			else Object.entries(lastW || {}).forEach(([k, w]) => { bucket[k] += w * (segEnd - t) / 3600e3; });
+			if (bucket.coveredMs !== undefined) bucket.coveredMs += segEnd - t;
+			t = segEnd;
+			if (t >= end(bucket)) {
+				close(bucket);
+				bucket = { ...open(t), lastW };
+			}
+		}
+	} else if (!bucket || ts >= end(bucket)) {
+		if (bucket) close(bucket);
+		bucket = open(ts);
+	}
+	bucket.lastTs = ts;
+	bucket.lastW = powerW;
+	return bucket;
+}
+
+/**
+ * Hourly bucket { hourStart, wh, coveredMs } for integrateEnergy() (PV, house load).
+ */
+const HOUR_BUCKET = { end: b => b.hourStart + 3600e3, open: ts => ({ hourStart: Math.floor(ts / 3600e3) * 3600e3, wh: 0, coveredMs: 0, lastTs: null, lastW: 0 }) };
+
 // ==== PREPARE STATES ====
 ensureState(ST.pricesJson);
 ensureState(ST.forecastJson);
@@ -235,233 +809,2049 @@ function ensureGrafanaStates() {
 	ensureState(GRAFANA_BASE, { type: 'string', read: true, write: true, def: '{}' });
 	ensureState(`${GRAFANA_BASE}.tableJsonLong`, { type: 'string', read: true, write: true, def: '[]' });
 	ensureState(`${GRAFANA_BASE}.summaryText`, { type: 'string', read: true, write: true, def: '' });
+	ensureState(`${GRAFANA_BASE}.batteryPlanJson`, { type: 'string', read: true, write: true, def: '{}' });
+	ensureState(LOAD_PLAN_STATE, { type: 'string', read: true, write: true, def: '[]' });
 
 	for (let h = 0; h < 24; h++) {
 		const HH = String(h).padStart(2, '0');
 		ensureState(`${GRAFANA_BASE}.prices.hour${HH}`, { type: 'number', read: true, write: true, def: 0 });
 		ensureState(`${GRAFANA_BASE}.prices_ct.hour${HH}`, { type: 'number', read: true, write: true, def: 0 });
+		ensureState(`${GRAFANA_BASE}.spot_ct.hour${HH}`, { type: 'number', read: true, write: true, def: 0 });
 		ensureState(`${GRAFANA_BASE}.forecastWh.hour${HH}`, { type: 'number', read: true, write: true, def: 0 });
+		ensureState(`${GRAFANA_BASE}.soc.hour${HH}`, { type: 'number', read: true, write: true, def: 0, unit: '%' });
+		ensureState(`${GRAFANA_BASE}.loadWh.hour${HH}`, { type: 'number', read: true, write: true, def: 0, unit: 'Wh' });
+		ensureState(`${GRAFANA_BASE}.gridImportWh.hour${HH}`, { type: 'number', read: true, write: true, def: 0, unit: 'Wh' });
+		ensureState(`${GRAFANA_BASE}.feedInWh.hour${HH}`, { type: 'number', read: true, write: true, def: 0, unit: 'Wh' });
 
 		ensureState(`${GRAFANA_BASE}.table.hour${HH}.start`, { type: 'string', read: true, write: true, def: '' });
 		ensureState(`${GRAFANA_BASE}.table.hour${HH}.end`, { type: 'string', read: true, write: true, def: '' });
 		ensureState(`${GRAFANA_BASE}.table.hour${HH}.price_ct`, { type: 'number', read: true, write: true, def: 0 });
+		ensureState(`${GRAFANA_BASE}.table.hour${HH}.spot_ct`, { type: 'number', read: true, write: true, def: 0 });
+		ensureState(`${GRAFANA_BASE}.table.hour${HH}.feedin_ct`, { type: 'number', read: true, write: true, def: 0 });
 		ensureState(`${GRAFANA_BASE}.table.hour${HH}.forecast_kwh`, { type: 'number', read: true, write: true, def: 0 });
 		ensureState(`${GRAFANA_BASE}.table.hour${HH}.cheap`, { type: 'boolean', read: true, write: true, def: false });
+		ensureState(`${GRAFANA_BASE}.table.hour${HH}.soc`, { type: 'number', read: true, write: true, def: 0, unit: '%' });
+		ensureState(`${GRAFANA_BASE}.table.hour${HH}.battery_wh`, { type: 'number', read: true, write: true, def: 0, unit: 'Wh' });
+		ensureState(`${GRAFANA_BASE}.table.hour${HH}.ev_wh`, { type: 'number', read: true, write: true, def: 0, unit: 'Wh' });
 	}
 }
 
-// ==== DATA FETCH ====
+// ==== CONFIG STATUS & HOT RELOAD ====
 /**
- * Fetch next 24h aWATTar prices in €/kWh and persist raw array to state.
+ * Validation result of the active config in `config.statusJson`:
+ *   { ok, file, loadedAt, errors: [...] }
+ * Changes of config.json are picked up by a file watcher and applied at the
+ * start of the next planning run; a file with syntax errors is reported and
+ * the previous configuration stays active.
  */
-async function getPrices24h() {
-	const url = 'https://api.awattar.de/v1/marketdata';
-	const res = await fetch(url);
-	const js = await res.json();
-	const now = Date.now();
-
-	const items = (js.data || [])
-		.filter(x => x.start_timestamp >= now && x.start_timestamp < now + 24 * 3600 * 1000)
-		.map(x => ({
-			start: x.start_timestamp,
-			end: x.end_timestamp,
-			price: eurMWhToEurKWh(x.marketprice)
-		}));
+const CONFIG_STATUS_STATE = `${GRAFANA_BASE}.config.statusJson`;
+let CONFIG_RELOAD_PENDING = false;
 
-	setVal(ST.pricesJson, JSON.stringify(items));
-	return items;
+function storeConfigStatus() {
+	ensureState(CONFIG_STATUS_STATE, { type: 'string', read: true, write: true, def: '{}' });
+	setVal(CONFIG_STATUS_STATE, JSON.stringify({
+		ok: !!CONFIG_STATUS.cfg && !CONFIG_STATUS.errors.length,
+		file: CONFIG_STATUS.file,
+		loadedAt: CONFIG_STATUS.loadedAt,
+		errors: CONFIG_STATUS.errors
+	}));
 }
 
+function reloadConfig() {
+	CONFIG_RELOAD_PENDING = false;
+	const res = loadConfig();
+	res.loadedAt = new Date(RT.now()).toISOString();
+	if (!res.cfg) {
+		CONFIG_STATUS = { ...CONFIG_STATUS, ...res, cfg: CONFIG_STATUS.cfg };
+		dlog(`❌ Konfiguration fehlerhaft, bisherige bleibt aktiv: ${res.errors[0]}`, 'error');
+		return false;
+	}
+	CONFIG_STATUS = res;
+	applyConfig(res.cfg);
+	subscribeEvModes();
+	syncSurplusState();
+	startHttpApi();
+	dlog(`🔄 Konfiguration neu geladen (${res.errors.length ? `${res.errors.length} Warnung(en)` : 'ok'}).`);
+	res.errors.forEach(e => dlog(`⚠️ Konfiguration: ${e}`, 'warn'));
+	return true;
+}
+
+function watchConfig() {
+	try {
+		const watcher = fs.watch(rootDir, (event, name) => {
+			if (name !== CONFIG_FILE || CONFIG_RELOAD_PENDING) return;
+			CONFIG_RELOAD_PENDING = true;
+			RT.log(`📝 ${CONFIG_FILE} geändert → wird beim nächsten Planungslauf übernommen.`);
+		});
+		RT.onStop(() => watcher.close());
+	} catch (e) {
+		RT.log(`watchConfig: cannot watch ${rootDir}: ${e}`, 'warn');
+	}
+}
+
+if (IS_IOBROKER) watchConfig();
+
+// ==== DATA ACQUISITION ====
 /**
- * Build 24-slot PV forecast (Wh) from Plenticore "day1/2.power" hourly series.
- * Falls back to zeros if no known forecast structure is available.
+ * Resilient data acquisition (config DATA_ACQUISITION):
+ *   { timeoutS, retries, backoffS,
+ *     fallback: { enabled, nightFrom, nightTo, nightCtKWh, dayCtKWh } }
+ * HTTP requests of the price providers time out after timeoutS and are
+ * retried with exponential backoff (backoffS, 2 × backoffS, …). The last
+ * good prices and PV forecast are kept in cache.*Json and reused while they
+ * still cover upcoming slots. Without usable prices a fixed night window
+ * (fallback) stands in, so night loads still go to the night.
+ * health.<source>.* (prices, pvForecast, measurements) reports the status
+ * (ok | cache | fallback | model | stale | missing), the last success, the
+ * data age and the number of consecutive errors.
  */
-function getPvForecast24h() {
-	const baseCandidates = ['plenticore.0.forecast.day2.power', 'plenticore.0.forecast.day1.power'];
-	let base = null;
+const HEALTH_BASE = `${GRAFANA_BASE}.health`;
+const CACHE_BASE = `${GRAFANA_BASE}.cache`;
+const HEALTH_SOURCES = { prices: 'Preise', pvForecast: 'PV-Prognose', measurements: 'Messwerte' };
+const HEALTH_MODES = { cache: 'Cache', fallback: 'Notbetrieb', model: 'PV-Modell', stale: 'veraltet', missing: 'fehlt' };
+let HEALTH = {};                // source → { status, lastSuccess, errors, lastError }
 
-	for (const cand of baseCandidates) {
-		if (existsState(`${cand}.1h.time`) || existsState(`${cand}.2h.time`)) { base = cand; break; }
-	}
-	if (!base) {
-		dlog('☀️ PV-Forecast: 0 sun-hours mapped.', 'info');
-		const empty = new Array(24).fill(0);
-		setVal(ST.forecastJson, JSON.stringify(empty));
-		return empty;
+function restoreHealth() {
+	for (const src of Object.keys(HEALTH_SOURCES)) {
+		['status', 'lastSuccess', 'lastError'].forEach(k => ensureState(`${HEALTH_BASE}.${src}.${k}`, { type: 'string', read: true, write: false, def: '' }));
+		ensureState(`${HEALTH_BASE}.${src}.ageMin`, { type: 'number', read: true, write: false, def: -1, unit: 'min' });
+		ensureState(`${HEALTH_BASE}.${src}.errors`, { type: 'number', read: true, write: false, def: 0 });
 	}
+	ensureState(`${HEALTH_BASE}.sourcesJson`, { type: 'string', read: true, write: true, def: '{}' });
+	ensureState(`${CACHE_BASE}.pricesJson`, { type: 'string', read: true, write: true, def: '{}' });
+	ensureState(`${CACHE_BASE}.forecastJson`, { type: 'string', read: true, write: true, def: '{}' });
+	HEALTH = getVal(`${HEALTH_BASE}.sourcesJson`, {}, { json: true }) || {};
+}
 
-	const arrWh = new Array(24).fill(0);
-	let found = 0;
+/**
+ * Record the outcome of a source and publish its health states. 'ok' sets
+ * the last success (dataTs: time of the data, default now); any other
+ * status with an `error` counts as a failed attempt.
+ */
+function reportHealth(source, status, error = null, dataTs = null) {
+	const now = RT.now();
+	const h = HEALTH[source] || (HEALTH[source] = { errors: 0 });
+	h.status = status;
+	if (status === 'ok') {
+		h.lastSuccess = dataTs ?? now;
+		h.errors = 0;
+	} else if (error) {
+		h.errors = (h.errors || 0) + 1;
+		h.lastError = `${formatDateDE(now)}: ${error}`;
+	}
+	const base = `${HEALTH_BASE}.${source}`;
+	setVal(`${base}.status`, status);
+	setVal(`${base}.lastSuccess`, h.lastSuccess ? new Date(h.lastSuccess).toISOString() : '');
+	setVal(`${base}.ageMin`, h.lastSuccess ? Math.round((now - h.lastSuccess) / 60e3) : -1);
+	setVal(`${base}.errors`, h.errors);
+	setVal(`${base}.lastError`, h.lastError || '');
+	setVal(`${HEALTH_BASE}.sourcesJson`, JSON.stringify(HEALTH));
+}
 
-	for (let k = 1; k <= 24; k++) {
-		const prefix = `${base}.${k}h`;
-		if (!existsState(`${prefix}.time`)) continue;
+/**
+ * Degraded sources for the summary, e.g. "Preise: Cache (3 h alt)"; '' if all are fine.
+ */
+function healthText() {
+	const now = RT.now();
+	const age = ms => (ms < 2 * 3600e3 ? `${Math.round(ms / 60e3)} min` : `${Math.round(ms / 3600e3)} h`);
+	return Object.entries(HEALTH)
+		.filter(([src, h]) => HEALTH_SOURCES[src] && h.status && h.status !== 'ok' && h.status !== 'model')
+		.map(([src, h]) => `${HEALTH_SOURCES[src]}: ${HEALTH_MODES[h.status] || h.status}${h.lastSuccess ? ` (${age(now - h.lastSuccess)} alt)` : ''}`)
+		.join(', ');
+}
 
-		const t = getVal(`${prefix}.time`);
-		if (!t) continue;
+/**
+ * fetch() with timeout, HTTP status check and retries with exponential
+ * backoff. Client errors (4xx except 429) are not retried.
+ */
+async function httpFetch(url, init = {}) {
+	const cfg = DATA_ACQUISITION;
+	const retries = Number(cfg.retries) || 0;
+	for (let attempt = 0; ; attempt++) {
+		// the ioBroker sandbox does not necessarily provide AbortController
+		const ctrl = typeof AbortController === 'function' ? new AbortController() : null;
+		let timer;
+		const timeout = new Promise((_, reject) => {
+			timer = setTimeout(() => {
+				if (ctrl) ctrl.abort();
+				reject(new Error(`Timeout nach ${cfg.timeoutS} s`));
+			}, (Number(cfg.timeoutS) || 15) * 1000);
+		});
+		try {
+			const res = await Promise.race([fetch(url, ctrl ? { ...init, signal: ctrl.signal } : init), timeout]);
+			if (!res.ok) {
+				const err = new Error(`HTTP ${res.status}`);
+				err.retry = res.status >= 500 || res.status === 429;
+				throw err;
+			}
+			return res;
+		} catch (e) {
+			const msg = e.name === 'AbortError' ? `Timeout nach ${cfg.timeoutS} s` : (e.message || String(e));
+			if (attempt >= retries || e.retry === false) throw new Error(msg);
+			const waitS = (Number(cfg.backoffS) || 0) * 2 ** attempt;
+			RT.log(`⚠️ Abruf fehlgeschlagen (${msg}) → Versuch ${attempt + 2}/${retries + 1} in ${waitS} s.`, 'warn');
+			await new Promise(resolve => setTimeout(resolve, waitS * 1000));
+		} finally {
+			clearTimeout(timer);
+		}
+	}
+}
 
-		const h = hourLocal(t);
-		if (isNaN(h)) continue;
+/**
+ * Health of the live measurements (PV, grid, SoC): stale if the oldest one
+ * was not updated for NOTIFY.staleMin.
+ */
+function checkMeasurements() {
+	const ts = [ST.pvPower, ST.gridPower, ST.bydSoc].map(id => (RT.existsState(id) ? RT.getState(id)?.ts : null));
+	if (ts.some(t => !t)) return reportHealth('measurements', 'missing', 'State fehlt');
+	const oldest = Math.min(...ts);
+	const stale = RT.now() - oldest > (Number(NOTIFY.staleMin) || 30) * 60e3;
+	return reportHealth('measurements', stale ? 'stale' : 'ok', stale ? 'keine aktuellen Werte' : null, oldest);
+}
 
-		const idHigh = `${prefix}.power_high`;
-		const idPow = `${prefix}.power`;
-		const idUsed = existsState(idHigh) ? idHigh : (existsState(idPow) ? idPow : null);
-		if (!idUsed) continue;
+restoreHealth();
 
-		const pObj = getObject(idUsed);
-		const unit = (pObj && pObj.common && pObj.common.unit ? String(pObj.common.unit).toLowerCase() : '');
+// ==== PRICE PROVIDERS ====
+/**
+ * Registry of price sources, selected via PRICE_SOURCE.type in config.json.
+ * A provider is `async (opts, { from, until }) => [{ start, end, price }]`
+ * with start/end in ms and price in €/kWh. normalizeSlots() maps the items
+ * onto SLOT_MINUTES slots, so providers may return any resolution.
+ * Items flagged `gross: true` are end-customer prices and bypass the TARIFF
+ * composition (only the feed-in value is derived).
+ */
+const PRICE_PROVIDERS = {};
 
-		let v = parseNum(getVal(idUsed));
-		if (isNaN(v)) continue;
-		if (unit === 'kwh') v *= 1000; // convert to Wh
+/**
+ * Register (or replace) a price provider under the given type name.
+ */
+function registerPriceProvider(type, fn) { PRICE_PROVIDERS[type] = fn; }
 
-		if (h >= 0 && h <= 23) {
-			arrWh[h] += Math.max(0, v);
-			found++;
+/**
+ * Sort, de-duplicate and map raw price items onto SLOT_MINUTES slots:
+ * finer items are averaged (time-weighted), coarser items are split.
+ */
+function normalizeSlots(items) {
+	const step = slotMs();
+	const buckets = new Map();
+	for (const x of items || []) {
+		const start = Number(x.start);
+		const end = Number(x.end);
+		const price = Number(x.price);
+		if (isNaN(start) || isNaN(end) || isNaN(price) || end <= start) continue;
+		for (let t = Math.floor(start / step) * step; t < end; t += step) {
+			const dur = Math.min(end, t + step) - Math.max(start, t);
+			const b = buckets.get(t) || { sum: 0, dur: 0, gross: false };
+			b.sum += price * dur;
+			b.dur += dur;
+			b.gross = b.gross || !!x.gross;
+			buckets.set(t, b);
 		}
 	}
+	return [...buckets.entries()]
+		.sort((a, b) => a[0] - b[0])
+		.map(([start, b]) => ({ start, end: start + step, price: b.sum / b.dur, ...(b.gross ? { gross: true } : {}) }));
+}
 
-	dlog(`☀️ PV-Forecast: ${found} sun-hours mapped.`, 'info');
-	setVal(ST.forecastJson, JSON.stringify(arrWh));
-	return arrWh;
+/**
+ * Convert a price value to €/kWh from the given unit.
+ */
+function toEurKWh(v, unit = 'eur_mwh') {
+	const n = parseNum(v);
+	if (unit === 'eur_kwh') return n;
+	if (unit === 'ct_kwh') return n / 100;
+	return eurMWhToEurKWh(n);
 }
 
-// ==== CORE SCORING ====
 /**
- * Price scoring for an hour:
- *   - Base price
- *   - Battery penalty if forecast too low
- *   - Small bonus if SoC above guard level
+ * aWATTar marketdata (DE or AT), €/MWh.
  */
-function hourScore(h, price, pvWh, bydSoc) {
-	const pvKWh = Math.max(0, pvWh) / 1000;
-	const socGuard = (isNight(h) ? BYD_SOC_MIN_NIGHT : BYD_SOC_MIN_DAY);
-	const needBattery = (pvKWh < 1.5);
-	const penalty = needBattery ? BATTERY_PENALTY : 0;
-	return price + penalty + (bydSoc < socGuard ? 0.02 : 0);
+registerPriceProvider('awattar', async (opts, { from, until }) => {
+	const country = String(opts.country || 'de').toLowerCase();
+	// without start/end the API only returns the next 24 h
+	const res = await httpFetch(`https://api.awattar.${country}/v1/marketdata?start=${Math.floor(from / 3600e3) * 3600e3}&end=${until}`);
+	const js = await res.json();
+	return (js.data || []).map(x => ({
+		start: x.start_timestamp,
+		end: x.end_timestamp,
+		price: eurMWhToEurKWh(x.marketprice)
+	}));
+});
+
+/**
+ * Tibber GraphQL API (today + tomorrow), total price in €/kWh (already gross).
+ */
+registerPriceProvider('tibber', async (opts) => {
+	if (!opts.token) throw new Error('Tibber: token missing in PRICE_SOURCE');
+	const query = '{ viewer { homes { id currentSubscription { priceInfo { today { total startsAt } tomorrow { total startsAt } } } } } }';
+	const res = await httpFetch('https://api.tibber.com/v1-beta/gql', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${opts.token}` },
+		body: JSON.stringify({ query })
+	});
+	const js = await res.json();
+	const homes = js?.data?.viewer?.homes || [];
+	const home = (opts.homeId ? homes.find(h => h.id === opts.homeId) : homes[0]) || {};
+	const info = home.currentSubscription?.priceInfo || {};
+	const list = [...(info.today || []), ...(info.tomorrow || [])]
+		.map(x => ({ start: Date.parse(x.startsAt), price: Number(x.total), gross: true }))
+		.sort((a, b) => a.start - b.start);
+	return list.map((x, i) => ({ ...x, end: list[i + 1]?.start ?? x.start + 3600e3 }));
+});
+
+/**
+ * Parse an ENTSO-E Publication_MarketDocument (A44, day-ahead prices) into slots.
+ * Positions missing from a period (curve type A03) repeat the previous price.
+ */
+function parseEntsoeXml(xml) {
+	const items = [];
+	const periods = String(xml).match(/<Period>[\s\S]*?<\/Period>/g) || [];
+	for (const per of periods) {
+		const start = Date.parse((/<start>([^<]+)<\/start>/.exec(per) || [])[1]);
+		const end = Date.parse((/<end>([^<]+)<\/end>/.exec(per) || [])[1]);
+		const resMin = Number((/<resolution>PT(\d+)M<\/resolution>/.exec(per) || [])[1]);
+		if (isNaN(start) || isNaN(end) || !resMin) continue;
+		const step = resMin * 60e3;
+		const byPos = new Map();
+		for (const pt of per.match(/<Point>[\s\S]*?<\/Point>/g) || []) {
+			const pos = Number((/<position>(\d+)<\/position>/.exec(pt) || [])[1]);
+			const val = parseNum((/<price\.amount>([^<]+)<\/price\.amount>/.exec(pt) || [])[1]);
+			if (pos && !isNaN(val)) byPos.set(pos, val);
+		}
+		let last = NaN;
+		for (let pos = 1; start + (pos - 1) * step < end; pos++) {
+			if (byPos.has(pos)) last = byPos.get(pos);
+			if (isNaN(last)) continue;
+			const s = start + (pos - 1) * step;
+			items.push({ start: s, end: s + step, price: eurMWhToEurKWh(last) });
+		}
+	}
+	return items;
 }
 
-// ==== CHEAPEST NIGHT (for log only) ====
 /**
- * Return the two cheapest night hours (next 24h), sorted by time for display.
+ * ENTSO-E day-ahead prices: either an exported XML file (opts.file) or the
+ * transparency platform API (opts.token + opts.area as EIC bidding zone).
  */
-function twoCheapestNight(prices) {
-	const nowLocal = new Date().toLocaleString('en-US', { timeZone: TZ });
-	const now = new Date(nowLocal).getTime();
-	const until = now + 24 * 3600 * 1000;
+registerPriceProvider('entsoe', async (opts, { from, until }) => {
+	if (opts.file) return parseEntsoeXml(fs.readFileSync(resolvePath(opts.file), 'utf8'));
+	if (!opts.token || !opts.area) throw new Error('ENTSO-E: token/area missing in PRICE_SOURCE');
+	const stamp = ms => new Date(Math.floor(ms / 3600e3) * 3600e3).toISOString().replace(/[-:T]/g, '').slice(0, 12);
+	const url = 'https://web-api.tp.entsoe.eu/api?documentType=A44'
+		+ `&in_Domain=${opts.area}&out_Domain=${opts.area}`
+		+ `&periodStart=${stamp(from - 3600e3)}&periodEnd=${stamp(until + 3600e3)}`
+		+ `&securityToken=${opts.token}`;
+	const res = await httpFetch(url);
+	return parseEntsoeXml(await res.text());
+});
 
-	const picked = prices
-		.map(p => ({ ...p, h: parseInt(localHour(p.start), 10) }))
-		.filter(p => p.start >= now && p.start < until && isNight(p.h))
-		.sort((a, b) => a.price - b.price)
-		.slice(0, 2);
+/**
+ * Local JSON file: either [{ start, end, price }] or aWATTar-shaped { data: [...] }.
+ * opts.unit: 'eur_kwh' (default for plain arrays) | 'eur_mwh' | 'ct_kwh'.
+ */
+registerPriceProvider('file', async (opts) => {
+	if (!opts.path) throw new Error('file: path missing in PRICE_SOURCE');
+	const js = JSON.parse(fs.readFileSync(resolvePath(opts.path), 'utf8'));
+	if (Array.isArray(js)) {
+		return js.map(x => ({
+			start: typeof x.start === 'number' ? x.start : Date.parse(x.start),
+			end: typeof x.end === 'number' ? x.end : Date.parse(x.end),
+			price: toEurKWh(x.price, opts.unit || 'eur_kwh')
+		}));
+	}
+	return (js.data || []).map(x => ({
+		start: x.start_timestamp,
+		end: x.end_timestamp,
+		price: toEurKWh(x.marketprice, opts.unit || 'eur_mwh')
+	}));
+});
 
-	// Display in chronological order like the old log format
-	return picked.sort((a, b) => a.start - b.start);
+/**
+ * Static time-of-use table, e.g.
+ *   { type: 'tou', defaultPrice: 0.32,
+ *     periods: [{ from: '22:00', to: '06:00', price: 0.22, days: [1, 2, 3, 4, 5] }] }
+ * Prices in €/kWh, times local (TZ), days 0 = Sunday (optional, default all).
+ * The first matching period wins; one item per slot, so periods on a
+ * quarter hour take effect with SLOT_MINUTES = 15.
+ */
+registerPriceProvider('tou', async (opts, { from, until }) => {
+	const items = [];
+	const step = slotMs();
+	for (let t = Math.floor(from / step) * step; t < until + step; t += step) {
+		const hit = (opts.periods || []).find(p => inTimeWindow(p, t));
+		items.push({ start: t, end: t + step, price: Number(hit ? hit.price : opts.defaultPrice), gross: true });
+	}
+	return items;
+});
+
+// ==== TARIFF ====
+/**
+ * End-customer tariff composition (config TARIFF, all ct/kWh values net of VAT):
+ *   { markupPct, fixedCtKWh, gridFeeCtKWh, vatPct,
+ *     gridFeeWindows: [{ from: 'HH:mm', to: 'HH:mm', ctKWh, days? }],   // §14a Modul 3
+ *     feedIn: { mode: 'fixed', ctKWh } | { mode: 'spot', factor, offsetCtKWh, floorZero } }
+ * Without TARIFF the effective price equals the spot price (legacy behaviour).
+ */
+function gridFeeCt(start) {
+	const win = (TARIFF.gridFeeWindows || []).find(w => inTimeWindow(w, start));
+	return Number(win ? win.ctKWh : (TARIFF.gridFeeCtKWh || 0));
 }
 
-// ==== PLANNER ====
 /**
- * Pick indices of N cheapest hours according to score() with SoC & PV guard.
+ * Gross consumer price (€/kWh) for a spot price (€/kWh) at slot start.
+ * The percentage markup is charged on the absolute spot price (as suppliers do).
  */
-function pickCheapestHours(prices, forecast, count) {
-	const soc = Number(getVal(ST.bydSoc, 0)) || 0;
-	const pairs = prices.map((p, i) => {
-		const h = parseInt(localHour(p.start), 10);
-		return { i, score: hourScore(h, p.price, forecast?.[i] || 0, soc) };
-	});
-	pairs.sort((a, b) => a.score - b.score);
-	return pairs.slice(0, count).map(x => x.i).sort((a, b) => a - b);
+function effectivePrice(spot, start) {
+	const net = spot
+		+ Math.abs(spot) * (Number(TARIFF.markupPct) || 0) / 100
+		+ ((Number(TARIFF.fixedCtKWh) || 0) + gridFeeCt(start)) / 100;
+	return net * (1 + (Number(TARIFF.vatPct) || 0) / 100);
 }
 
 /**
- * Build EV plan based on cheapest night hours and PV threshold.
- * Returns { value, time, hours } or null if no night charge is planned.
+ * Feed-in compensation (€/kWh) for a spot price (€/kWh).
  */
-function buildEvPlan(prices, forecast) {
-	const iTresholdNightLoad = 12000; // Wh threshold to decide PV is "enough"
-	const pvSumWh = (forecast || []).reduce((a, b) => a + (b || 0), 0);
+function feedInPrice(spot) {
+	const f = TARIFF.feedIn || {};
+	if (f.mode === 'spot') {
+		const v = spot * (f.factor ?? 1) + (Number(f.offsetCtKWh) || 0) / 100;
+		return f.floorZero ? Math.max(0, v) : v;
+	}
+	return (Number(f.ctKWh) || 0) / 100;
+}
 
-	// Count "cheap night hours" for log (for info only)
-	const cheapNight = prices.filter(p => {
-		const h = parseInt(localHour(p.start), 10);
-		return isNight(h) && (p.price < CHEAP_CUTOFF_EURKWH);
-	});
+/**
+ * Enrich a normalized slot with { spot, price (effective), feedIn }.
+ */
+function applyTariff(slot) {
+	const spot = slot.price;
+	const price = slot.gross ? spot : effectivePrice(spot, slot.start);
+	return { start: slot.start, end: slot.end, spot, price, feedIn: feedInPrice(spot) };
+}
 
-	dlog(`📊 PV-Gesamtprognose: ${(pvSumWh / 1000).toFixed(2)} kWh (Schwelle: ${(iTresholdNightLoad / 1000).toFixed(1)} kWh)`);
-	dlog(`💰 Günstige Nachtstunden (<${CHEAP_CUTOFF_EURKWH} €/kWh): ${cheapNight.length} Stück`);
+// ==== DATA FETCH ====
+const PRICE_HORIZON_H = 48;     // upper bound; day-ahead markets publish up to ~35 h ahead
 
-	// Number of hours required to meet EV target energy
-	const hoursNeeded = Math.max(1, Math.ceil(EV_TARGET_KWH / Math.max(0.1, EV_CHARGE_POWER_KW)));
+/**
+ * Fetch all published prices from now on (at most PRICE_HORIZON_H) from the
+ * configured provider, apply the tariff (price = effective €/kWh,
+ * spot = raw €/kWh, feedIn = €/kWh) and persist to state. If the provider
+ * fails, the cached prices or the fixed night window (DATA_ACQUISITION.fallback)
+ * are used instead; see DATA ACQUISITION.
+ */
+async function getPrices() {
+	const src = PRICE_SOURCE || {};
+	const provider = PRICE_PROVIDERS[src.type];
+	if (!provider) throw new Error(`Unbekannte Preisquelle "${src.type}" (verfügbar: ${Object.keys(PRICE_PROVIDERS).join(', ')})`);
 
-	// All night hours (next 24h), sorted ascending by price
-	const now = Date.now();
-	const until = now + 24 * 3600e3;
-	const nightSorted = prices
-		.filter(p => {
-			const h = parseInt(localHour(p.start), 10);
-			return p.start >= now && p.start < until && isNight(h);
-		})
-		.sort((a, b) => a.price - b.price);
+	const now = RT.now();
+	const until = now + PRICE_HORIZON_H * 3600e3;
+	// The running slot is kept but starts now, so its elapsed part no longer
+	// contributes PV, load or cost to the plan.
+	const upcoming = slots => slots
+		.filter(x => x.end > now && x.start < until)
+		.map(x => (x.start < now ? { ...x, start: now } : x));
 
-	// Pick the cheapest 'hoursNeeded' slots, then sort by time for display
-	const picked = nightSorted.slice(0, hoursNeeded).sort((a, b) => a.start - b.start);
+	let slots = [];
+	let error = null;
+	try {
+		slots = upcoming(normalizeSlots(await provider(src, { from: now, until })));
+		if (!slots.length) error = 'keine aktuellen Preise geliefert';
+	} catch (e) {
+		error = e.message || String(e);
+	}
 
-	// Decide: only plan night charging if the PV forecast is too low
-	if (picked.length === hoursNeeded && pvSumWh < iTresholdNightLoad) {
-		const startTs = picked[0].start;
-		const endTs = picked[picked.length - 1].end;
+	if (!error) {
+		setVal(`${CACHE_BASE}.pricesJson`, JSON.stringify({ ts: now, slots }));
+		reportHealth('prices', 'ok');
+		notifyResolved('health.prices', '✅ Preisdaten wieder aktuell.');
+	} else {
+		const cache = getVal(`${CACHE_BASE}.pricesJson`, {}, { json: true }) || {};
+		const fb = DATA_ACQUISITION.fallback || {};
+		slots = upcoming(cache.slots || []);
+		if (slots.length) {
+			RT.log(`⚠️ Preisabruf (${src.type}) fehlgeschlagen: ${error} → ${slots.length} Slots aus dem Cache vom ${formatDateDE(cache.ts)}.`, 'warn');
+			reportHealth('prices', 'cache', error);
+		} else if (fb.enabled) {
+			const tou = { periods: [{ from: fb.nightFrom, to: fb.nightTo, price: fb.nightCtKWh / 100 }], defaultPrice: fb.dayCtKWh / 100 };
+			slots = upcoming(normalizeSlots(await PRICE_PROVIDERS.tou(tou, { from: now, until: now + 24 * 3600e3 })));
+			RT.log(`⚠️ Preisabruf (${src.type}) fehlgeschlagen: ${error} → Notbetrieb mit festem Nachtfenster ${fb.nightFrom}–${fb.nightTo}.`, 'warn');
+			reportHealth('prices', 'fallback', error);
+		} else {
+			reportHealth('prices', 'missing', error);
+			throw new Error(`Keine Preisdaten (${src.type}): ${error}`);
+		}
+		notify('health.prices', 'warn', `⚠️ Preisabruf (${src.type}) fehlgeschlagen: ${error} → ${HEALTH_MODES[HEALTH.prices.status]}.`);
+	}
 
-		const startStr = new Date(startTs).toLocaleString('de-DE', {
-			timeZone: TZ, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
-		});
-		const endStr = new Date(endTs).toLocaleString('de-DE', {
-			timeZone: TZ, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
-		});
+	const items = slots.map(applyTariff);
+	setVal(ST.pricesJson, JSON.stringify(items));
+	return items;
+}
 
-		const hoursCount = picked.length;
-		const hoursLabel = hoursCount === 1 ? 'Stunde' : 'Stunden';
+/**
+ * Plenticore PV forecast as time series [{ start, end, wh }] keyed by
+ * absolute hour, merged from the "day1" (today) and "day2" (tomorrow)
+ * hourly series; day1 wins on overlap. Empty if no forecast states exist.
+ */
+function plenticoreForecast() {
+	const byStart = new Map();
+	let found = 0;
 
-		dlog(`🔋 Nachtladung geplant: ${EV_TARGET_KWH} kWh von ${startStr} bis ${endStr} (${hoursCount} ${hoursLabel})`);
-		return { value: EV_TARGET_KWH, time: new Date(endTs).toISOString(), hours: hoursCount };
-	} else {
-		if (pvSumWh >= iTresholdNightLoad) dlog('✅ Genug PV-Ertrag erwartet → Laden am Tag per PV.');
-		if (picked.length < hoursNeeded) dlog('⚠️ Nachtladung nicht sinnvoll → zu wenige Nachtstunden verfügbar.');
+	for (const base of ['plenticore.0.forecast.day1.power', 'plenticore.0.forecast.day2.power']) {
+		for (let k = 1; k <= 24; k++) {
+			const prefix = `${base}.${k}h`;
+			if (!RT.existsState(`${prefix}.time`)) continue;
+
+			const t = getVal(`${prefix}.time`);
+			if (!t) continue;
+
+			const ms = toMs(t);
+			if (isNaN(ms)) continue;
+
+			const idHigh = `${prefix}.power_high`;
+			const idPow = `${prefix}.power`;
+			const idUsed = RT.existsState(idHigh) ? idHigh : (RT.existsState(idPow) ? idPow : null);
+			if (!idUsed) continue;
+
+			const pObj = RT.getObject(idUsed);
+			const unit = (pObj && pObj.common && pObj.common.unit ? String(pObj.common.unit).toLowerCase() : '');
+
+			let v = parseNum(getVal(idUsed));
+			if (isNaN(v)) continue;
+			if (unit === 'kwh') v *= 1000; // convert to Wh
+
+			const start = Math.floor(ms / 3600e3) * 3600e3;
+			if (byStart.has(start)) continue;
+			byStart.set(start, Math.max(0, v));
+			found++;
+		}
 	}
 
-	dlog('❌ Keine Nachtladung geplant.');
-	return null;
+	dlog(`☀️ PV-Forecast: ${found} sun-hours mapped.`, 'info');
+	return [...byStart.entries()]
+		.sort((a, b) => a[0] - b[0])
+		.map(([start, wh]) => ({ start, end: start + 3600e3, wh }));
 }
 
 /**
- * Heat pump plan: pick cheap hours for DHW (2h) and space heating (2h).
+ * PV forecast series used for planning (config PV_FORECAST.source):
+ * 'plenticore' only, 'model' only, or 'auto' = Plenticore with the
+ * built-in model filling hours it does not cover. Without upcoming
+ * Plenticore hours the cached series is used first. Persisted to forecastJson.
  */
-function buildHpPlan(prices, forecast) {
-	const dhwHours = pickCheapestHours(prices, forecast, 2);
-	const heatHours = pickCheapestHours(prices, forecast, 2);
-	return { dhwHours, heatHours };
+function getPvForecast() {
+	const src = PV_FORECAST.source || 'auto';
+	const now = RT.now();
+	const hour = Math.floor(now / 3600e3) * 3600e3;
+	let status = 'ok';
+	let error = null;
+	let live = src === 'model' ? [] : plenticoreForecast();
+	if (src !== 'model' && !live.some(x => x.end > now)) {
+		const cache = getVal(`${CACHE_BASE}.forecastJson`, {}, { json: true }) || {};
+		const cached = (cache.series || []).filter(x => x.end > now);
+		// without any Plenticore data so far the model is the regular source, not a failure
+		if (live.length || cached.length || src === 'plenticore') error = live.length ? 'Plenticore-Prognose veraltet' : 'Plenticore-Prognose fehlt';
+		if (cached.length) {
+			live = cached;
+			status = 'cache';
+			dlog(`⚠️ ${error} → PV-Prognose aus dem Cache vom ${formatDateDE(cache.ts)}.`, 'warn');
+		} else {
+			status = src === 'plenticore' ? 'missing' : 'model';
+		}
+	}
+	const byStart = new Map(live.map(x => [x.start, x]));
+	if (src !== 'plenticore') {
+		const model = modelForecast(hour, PRICE_HORIZON_H + 1);
+		const added = (model || []).filter(x => !byStart.has(x.start));
+		added.forEach(x => byStart.set(x.start, x));
+		if (added.length) {
+			dlog(`☀️ PV-Modell: ${added.length} h, ${(added.reduce((a, x) => a + x.wh, 0) / 1000).toFixed(1)} kWh${readSeries(PV_FORECAST.cloudCover || {}, 'cover') ? ' (mit Bewölkung)' : ' (wolkenlos)'}`);
+		}
+		if (src === 'model') status = added.length ? 'model' : 'missing';
+	}
+	const series = [...byStart.values()].sort((a, b) => a.start - b.start);
+	if (!series.length) {
+		status = 'missing';
+		dlog('⚠️ Keine PV-Prognose (Plenticore-States fehlen, PV-Modell nicht konfiguriert) → PV = 0.', 'warn');
+	}
+	if (status === 'ok') setVal(`${CACHE_BASE}.forecastJson`, JSON.stringify({ ts: now, series }));
+	reportHealth('pvForecast', status, error);
+	rememberPvForecast(series);
+	setVal(ST.forecastJson, JSON.stringify(series));
+	return series;
 }
 
-// ==== APPLY (guards) ====
 /**
- * Persist EV plan JSON for EVCC if the state exists.
+ * Join the forecast series onto the price slots by timestamp (Wh per slot,
+ * overlap-weighted); hours without forecast count as 0.
  */
-function applyEvPlan(plan) {
-	if (!plan) return;
-	if (existsState(ST.evPlanEnergy)) setState(ST.evPlanEnergy, JSON.stringify(plan), true);
+function slotForecast(prices, series) {
+	return prices.map(p => series.reduce((a, x) => {
+		const overlap = Math.min(p.end, x.end) - Math.max(p.start, x.start);
+		return overlap > 0 ? a + x.wh * overlap / (x.end - x.start) : a;
+	}, 0));
 }
 
 /**
- * Log heat pump slots and (optionally) schedule temp offsets in cheap hours.
+ * PV energy (Wh) of the slots starting within the next `hours`
+ * (the daily view used by thresholds and the summary).
  */
-function applyHpPlan(plan) {
-	const pricesStr = getVal(ST.pricesJson, '[]');
-	let pricesArr = [];
-	try { pricesArr = JSON.parse(pricesStr) || []; } catch (e) { pricesArr = []; }
+function pvWithinWh(prices, forecast, hours = 24) {
+	const until = RT.now() + hours * 3600e3;
+	return prices.reduce((a, p, i) => a + (p.start < until ? Math.max(0, forecast?.[i] || 0) : 0), 0);
+}
 
-	const hhPrice = i => {
+// ==== PV FORECAST MODEL ====
+/**
+ * Built-in offline PV forecast (config PV_FORECAST):
+ *   { source, latitude, longitude, strings: [{ kWp, tilt, azimuth }],
+ *     systemEfficiency, albedo, cloudCover: { state, file }, learnDays }
+ * Sun position and clear-sky irradiance (Meinel, Kasten-Young air mass) are
+ * transposed onto every string (azimuth 180 = south) and optionally dimmed
+ * by a cloud-cover series [{ start, cover }] in % or 0..1 (Kasten-Czeplak).
+ * Measured Pv_P is integrated per hour; measured / model per local hour over
+ * `learnDays` gives the correction factor. Accuracy of the forecast the
+ * planner actually used goes to pv.accuracy.*.
+ */
+const PV_BASE = `${GRAFANA_BASE}.pv`;
+const PV_HISTORY = [];          // { ts (hour start), measuredWh, modelWh, forecastWh }
+let PV_CURRENT = null;          // { hourStart, wh, coveredMs, lastTs, lastW }
+let PV_PLANNED = {};            // hour start → forecast Wh of the last planning run
+let PV_CORRECTION = null;       // cached result of pvCorrection()
+
+/**
+ * Sun zenith and azimuth (rad, azimuth from north clockwise), low-precision
+ * solar coordinates (error < 0.1° until 2050).
+ */
+function sunPosition(ms, latDeg, lonDeg) {
+	const rad = Math.PI / 180;
+	const d = ms / 86400e3 - 10957.5; // days since J2000.0
+	const g = (357.529 + 0.98560028 * d) * rad;
+	const lng = (280.459 + 0.98564736 * d + 1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g)) * rad;
+	const eps = (23.439 - 0.00000036 * d) * rad;
+	const ra = Math.atan2(Math.cos(eps) * Math.sin(lng), Math.cos(lng));
+	const dec = Math.asin(Math.sin(eps) * Math.sin(lng));
+	const gmstH = 18.697374558 + 24.06570982441908 * d;
+	const ha = (gmstH * 15 + lonDeg) * rad - ra;
+	const lat = latDeg * rad;
+	const cosZ = Math.sin(lat) * Math.sin(dec) + Math.cos(lat) * Math.cos(dec) * Math.cos(ha);
+	const zenith = Math.acos(Math.max(-1, Math.min(1, cosZ)));
+	const azimuth = Math.atan2(Math.sin(ha), Math.cos(ha) * Math.sin(lat) - Math.tan(dec) * Math.cos(lat)) + Math.PI;
+	return { zenith, azimuth };
+}
+
+/**
+ * Modelled PV power (W) of all strings at `ms`, before the learned correction.
+ * `cover` = cloud cover 0..1.
+ */
+function pvModelPowerW(ms, cover = 0) {
+	const cfg = PV_FORECAST;
+	const { zenith, azimuth } = sunPosition(ms, Number(cfg.latitude), Number(cfg.longitude));
+	const cosZ = Math.cos(zenith);
+	if (cosZ <= 0.01) return 0;
+	const airMass = 1 / (cosZ + 0.50572 * Math.pow(96.07995 - zenith * 180 / Math.PI, -1.6364));
+	const dni = 1353 * Math.pow(0.7, Math.pow(airMass, 0.678));
+	const dhi = 0.1 * dni;
+	const ghi = dni * cosZ + dhi;
+	const albedo = Number(cfg.albedo ?? 0.2);
+	const eff = Number(cfg.systemEfficiency) || 0.85;
+	const rad = Math.PI / 180;
+	const poaW = (cfg.strings || []).reduce((a, st) => {
+		const tilt = Number(st.tilt ?? 30) * rad;
+		const cosAoi = cosZ * Math.cos(tilt) + Math.sin(zenith) * Math.sin(tilt) * Math.cos(azimuth - Number(st.azimuth ?? 180) * rad);
+		const poa = dni * Math.max(0, cosAoi) + dhi * (1 + Math.cos(tilt)) / 2 + ghi * albedo * (1 - Math.cos(tilt)) / 2;
+		return a + poa / 1000 * (Number(st.kWp) || 0) * 1000 * eff;
+	}, 0);
+	return poaW * (1 - 0.75 * Math.pow(Math.max(0, Math.min(1, cover)), 3.4));
+}
+
+/**
+ * True if location and at least one string with kWp are configured.
+ */
+function pvModelConfigured() {
+	const cfg = PV_FORECAST;
+	return cfg.latitude !== undefined && cfg.longitude !== undefined && (cfg.strings || []).some(st => Number(st.kWp) > 0);
+}
+
+/**
+ * Cloud cover (0..1) at `ms` from the configured series, 0 without data.
+ */
+function cloudCoverAt(series, ms) {
+	if (!series) return 0;
+	const c = nearestEntry(series, ms).cover;
+	return c > 1 ? c / 100 : c;
+}
+
+/**
+ * Uncorrected model energy (Wh) of the hour starting at `hourStart` (mean of four quarter points).
+ */
+function pvModelHourWh(hourStart, clouds) {
+	let sum = 0;
+	for (let q = 0; q < 4; q++) {
+		const t = hourStart + (q + 0.5) * 15 * 60e3;
+		sum += pvModelPowerW(t, cloudCoverAt(clouds, t));
+	}
+	return sum / 4;
+}
+
+/**
+ * Correction factor per local hour: measured / model over learnDays
+ * (hours with < 50 Wh model energy ignored, factor 1 below 3 samples).
+ */
+function pvCorrection() {
+	if (PV_CORRECTION) return PV_CORRECTION;
+	const meas = new Array(24).fill(0);
+	const model = new Array(24).fill(0);
+	const n = new Array(24).fill(0);
+	for (const e of PV_HISTORY) {
+		if (e.modelWh < 50) continue;
+		const h = hourLocal(e.ts);
+		meas[h] += e.measuredWh; model[h] += e.modelWh; n[h]++;
+	}
+	PV_CORRECTION = meas.map((m, h) => (n[h] >= 3 ? +Math.min(2, Math.max(0.1, m / model[h])).toFixed(3) : 1));
+	return PV_CORRECTION;
+}
+
+/**
+ * Model forecast series [{ start, end, wh }] for `hours` hours from `from`, or null if not configured.
+ */
+function modelForecast(from, hours) {
+	if (!pvModelConfigured()) return null;
+	const clouds = readSeries(PV_FORECAST.cloudCover || {}, 'cover');
+	const corr = pvCorrection();
+	return Array.from({ length: hours }, (_, k) => {
+		const start = from + k * 3600e3;
+		return { start, end: start + 3600e3, wh: Math.round(pvModelHourWh(start, clouds) * corr[hourLocal(start)]) };
+	});
+}
+
+function restorePvHistory() {
+	ensureState(`${PV_BASE}.historyJson`, { type: 'string', read: true, write: true, def: '{}' });
+	ensureState(`${PV_BASE}.correctionJson`, { type: 'string', read: true, write: true, def: '[]' });
+	for (const [f, unit] of Object.entries({ maeWh: 'Wh', rmseWh: 'Wh', biasWh: 'Wh', nmaePct: '%', samples: '' })) {
+		ensureState(`${PV_BASE}.accuracy.${f}`, { type: 'number', read: true, write: false, def: 0, unit });
+	}
+	const js = getVal(`${PV_BASE}.historyJson`, {}, { json: true }) || {};
+	PV_HISTORY.splice(0, PV_HISTORY.length, ...(Array.isArray(js.history) ? js.history : []));
+	PV_PLANNED = js.planned || {};
+	PV_CURRENT = js.current || null;
+	if (PV_CURRENT) PV_CURRENT.lastTs = null; // no integration across the restart gap
+	PV_CORRECTION = null;
+}
+
+function persistPvHistory() {
+	setVal(`${PV_BASE}.historyJson`, JSON.stringify({ history: PV_HISTORY, planned: PV_PLANNED, current: PV_CURRENT }));
+}
+
+/**
+ * Keep the planned forecast per hour for the accuracy metrics.
+ */
+function rememberPvForecast(series) {
+	const keepFrom = RT.now() - 2 * 3600e3;
+	PV_PLANNED = Object.fromEntries(Object.entries(PV_PLANNED).filter(([ts]) => Number(ts) >= keepFrom));
+	series.forEach(x => { PV_PLANNED[x.start] = Math.round(x.wh); });
+	persistPvHistory();
+}
+
+/**
+ * Publish MAE / RMSE / bias / nMAE of the used forecast (daylight hours of learnDays)
+ * and the correction factors.
+ */
+function storePvAccuracy() {
+	const rows = PV_HISTORY.filter(e => e.forecastWh !== null && e.forecastWh !== undefined && (e.forecastWh > 0 || e.measuredWh > 0));
+	const err = rows.map(e => e.forecastWh - e.measuredWh);
+	const n = err.length;
+	const measSum = rows.reduce((a, e) => a + e.measuredWh, 0);
+	const absSum = err.reduce((a, x) => a + Math.abs(x), 0);
+	setVal(`${PV_BASE}.accuracy.maeWh`, n ? Math.round(absSum / n) : 0);
+	setVal(`${PV_BASE}.accuracy.rmseWh`, n ? Math.round(Math.sqrt(err.reduce((a, x) => a + x * x, 0) / n)) : 0);
+	setVal(`${PV_BASE}.accuracy.biasWh`, n ? Math.round(err.reduce((a, x) => a + x, 0) / n) : 0);
+	setVal(`${PV_BASE}.accuracy.nmaePct`, measSum > 0 ? +(absSum / measSum * 100).toFixed(1) : 0);
+	setVal(`${PV_BASE}.accuracy.samples`, n);
+	setVal(`${PV_BASE}.correctionJson`, JSON.stringify(pvCorrection()));
+}
+
+/**
+ * Close the open hour: record measured, model and planned energy, prune old entries.
+ */
+function closePvBucket(c) {
+	if (c && c.coveredMs >= 0.5 * 3600e3) {
+		PV_HISTORY.push({
+			ts: c.hourStart,
+			measuredWh: Math.round(c.wh * 3600e3 / c.coveredMs),
+			modelWh: pvModelConfigured() ? Math.round(pvModelHourWh(c.hourStart, readSeries(PV_FORECAST.cloudCover || {}, 'cover'))) : 0,
+			forecastWh: PV_PLANNED[c.hourStart] ?? null
+		});
+	}
+	const keepFrom = RT.now() - (Number(PV_FORECAST.learnDays) || 30) * 86400e3;
+	while (PV_HISTORY.length && PV_HISTORY[0].ts < keepFrom) PV_HISTORY.shift();
+	PV_CORRECTION = null;
+	storePvAccuracy();
+	persistPvHistory();
+}
+
+/**
+ * Integrate one Pv_P sample (W) into the hourly buckets.
+ */
+function samplePvOutput(ts, pvW) {
+	if (isNaN(pvW)) return;
+	PV_CURRENT = integrateEnergy(PV_CURRENT, ts, Math.max(0, pvW), { ...HOUR_BUCKET, close: closePvBucket });
+}
+
+restorePvHistory();
+
+// ==== LOAD FORECAST ====
+/**
+ * Learned household base load (Home_P minus EV and HP power), config LOAD_FORECAST:
+ *   { evPowerState, hpPowerState, historyDays, holidays: ['YYYY-MM-DD' | 'MM-DD'],
+ *     tempState, tempBaseC, tempCoeffWPerK }
+ * Home_P samples are integrated into hourly buckets; finished hours are kept
+ * for `historyDays` in a state (survives restarts) and averaged into a
+ * weekday × hour profile. Holidays count as Sundays. With tempState and
+ * tempCoeffWPerK the profile is shifted by the heating-degree difference
+ * between the recorded and the current outdoor temperature.
+ */
+const LOAD_BASE = `${GRAFANA_BASE}.load`;
+const LOAD_HISTORY = [];        // { ts (hour start), wh, tempC }
+let LOAD_CURRENT = null;        // { hourStart, wh, coveredMs, lastTs, lastW }
+let LOAD_PROFILE = null;        // cached result of buildLoadProfile()
+
+/**
+ * Read an optional numeric state without warning if it does not exist.
+ */
+function readOptionalNum(id) {
+	if (!id || !RT.existsState(id)) return NaN;
+	return parseNum(getVal(id, null));
+}
+
+/**
+ * Restore history and the open hour bucket from the persisted state.
+ */
+function restoreLoadHistory() {
+	ensureState(`${LOAD_BASE}.historyJson`, { type: 'string', read: true, write: true, def: '{}' });
+	ensureState(`${LOAD_BASE}.profileJson`, { type: 'string', read: true, write: true, def: '{}' });
+	ensureState(`${LOAD_BASE}.forecastJson`, { type: 'string', read: true, write: true, def: '[]' });
+	const js = getVal(`${LOAD_BASE}.historyJson`, {}, { json: true }) || {};
+	LOAD_HISTORY.splice(0, LOAD_HISTORY.length, ...(Array.isArray(js.history) ? js.history : []));
+	LOAD_CURRENT = js.current || null;
+	if (LOAD_CURRENT) LOAD_CURRENT.lastTs = null; // no integration across the restart gap
+}
+
+function persistLoadHistory() {
+	setVal(`${LOAD_BASE}.historyJson`, JSON.stringify({ history: LOAD_HISTORY, current: LOAD_CURRENT }));
+}
+
+/**
+ * Close the open bucket if it has enough coverage and prune old entries.
+ */
+function closeLoadBucket(c) {
+	if (c && c.coveredMs >= 0.5 * 3600e3) {
+		const tempC = readOptionalNum(LOAD_FORECAST.tempState);
+		LOAD_HISTORY.push({ ts: c.hourStart, wh: Math.round(c.wh * 3600e3 / c.coveredMs), tempC: isNaN(tempC) ? null : tempC });
+	}
+	const keepFrom = RT.now() - (Number(LOAD_FORECAST.historyDays) || 28) * 86400e3;
+	while (LOAD_HISTORY.length && LOAD_HISTORY[0].ts < keepFrom) LOAD_HISTORY.shift();
+	LOAD_PROFILE = null;
+	persistLoadHistory();
+}
+
+/**
+ * Integrate one Home_P sample (W) into the hourly buckets.
+ */
+function sampleHouseLoad(ts, homeW) {
+	if (isNaN(homeW)) return;
+	const evW = readOptionalNum(LOAD_FORECAST.evPowerState);
+	const hpW = readOptionalNum(LOAD_FORECAST.hpPowerState);
+	const baseW = Math.max(0, homeW - (isNaN(evW) ? 0 : evW) - (isNaN(hpW) ? 0 : hpW));
+	LOAD_CURRENT = integrateEnergy(LOAD_CURRENT, ts, baseW, { ...HOUR_BUCKET, close: closeLoadBucket });
+}
+
+/**
+ * Profile weekday (0 = Sunday); configured holidays count as Sunday.
+ */
+function profileWeekday(ms) {
+	const date = localDateISO(ms);
+	const hol = LOAD_FORECAST.holidays || [];
+	return (hol.includes(date) || hol.includes(date.slice(5))) ? 0 : localWeekday(ms);
+}
+
+/**
+ * Average history into { byWdHour[7][24], byHour[24] } of { wh, tempC, n }.
+ */
+function buildLoadProfile() {
+	if (LOAD_PROFILE) return LOAD_PROFILE;
+	const cell = () => ({ wh: 0, tempC: 0, nTemp: 0, n: 0 });
+	const byWdHour = Array.from({ length: 7 }, () => Array.from({ length: 24 }, cell));
+	const byHour = Array.from({ length: 24 }, cell);
+	for (const e of LOAD_HISTORY) {
+		const h = hourLocal(e.ts);
+		for (const b of [byWdHour[profileWeekday(e.ts)][h], byHour[h]]) {
+			b.wh += e.wh; b.n++;
+			if (e.tempC !== null && e.tempC !== undefined) { b.tempC += e.tempC; b.nTemp++; }
+		}
+	}
+	const fin = b => ({ wh: b.n ? b.wh / b.n : NaN, tempC: b.nTemp ? b.tempC / b.nTemp : NaN, n: b.n });
+	LOAD_PROFILE = { byWdHour: byWdHour.map(row => row.map(fin)), byHour: byHour.map(fin), samples: LOAD_HISTORY.length };
+	return LOAD_PROFILE;
+}
+
+/**
+ * Expected house load (Wh) without EV/HP for a slot: weekday/hour profile,
+ * then hour-only profile, then HOUSE_BASE_LOAD_W.
+ */
+function expectedHouseLoadWh(slot) {
+	const durH = (slot.end - slot.start) / 3600e3;
+	const prof = buildLoadProfile();
+	const h = hourLocal(slot.start);
+	const wdCell = prof.byWdHour[profileWeekday(slot.start)][h];
+	const cell = wdCell.n ? wdCell : prof.byHour[h];
+	if (!cell.n) return HOUSE_BASE_LOAD_W * durH;
+
+	let whPerH = cell.wh;
+	const coeff = Number(LOAD_FORECAST.tempCoeffWPerK) || 0;
+	const tNow = readOptionalNum(LOAD_FORECAST.tempState);
+	if (coeff > 0 && !isNaN(tNow) && !isNaN(cell.tempC)) {
+		const base = Number(LOAD_FORECAST.tempBaseC ?? 15);
+		whPerH += coeff * (Math.max(0, base - tNow) - Math.max(0, base - cell.tempC));
+	}
+	return Math.max(0, whPerH) * durH;
+}
+
+/**
+ * Expected base-load series [{ start, end, wh }] for `hours` full hours from `from`.
+ */
+function loadForecastSeries(from = RT.now(), hours = 48) {
+	const t0 = Math.floor(from / 3600e3) * 3600e3;
+	return Array.from({ length: hours }, (_, k) => {
+		const slot = { start: t0 + k * 3600e3, end: t0 + (k + 1) * 3600e3 };
+		return { ...slot, wh: Math.round(expectedHouseLoadWh(slot)) };
+	});
+}
+
+/**
+ * Persist profile (Grafana/debug) and the 48h expected-load series.
+ */
+function storeLoadForecast() {
+	const prof = buildLoadProfile();
+	setVal(`${LOAD_BASE}.profileJson`, JSON.stringify({
+		samples: prof.samples,
+		byWdHour: prof.byWdHour.map(row => row.map(c => (isNaN(c.wh) ? null : Math.round(c.wh))))
+	}));
+	setVal(`${LOAD_BASE}.forecastJson`, JSON.stringify(loadForecastSeries(RT.now(), 48)));
+}
+
+restoreLoadHistory();
+
+// ==== BATTERY SIMULATION ====
+
+/**
+ * Battery parameters with defaults (Wh / W, efficiency per direction).
+ */
+function batteryParams() {
+	return {
+		capWh: (Number(BATTERY.capacityKWh) || 10) * 1000,
+		maxChargeW: (Number(BATTERY.maxChargeKW) || 5) * 1000,
+		maxDischargeW: (Number(BATTERY.maxDischargeKW) || 5) * 1000,
+		eta: Math.sqrt(Number(BATTERY.roundtripEfficiency) || 0.9)
+	};
+}
+
+/**
+ * Walk the horizon slot by slot and predict the battery energy balance.
+ * PV first covers the load, surplus charges the battery (charge limit,
+ * capacity), the rest is fed in. Deficits are discharged down to the
+ * day/night SoC floor (discharge limit), the rest is imported.
+ * opts.extraWh: planned EV/HP loads per slot index (Wh).
+ * opts.batteryPlan: grid charge per slot and hold slots (no discharge).
+ * Returns per slot { socStartPct, socPct, floorPct, pvWh, loadWh, chargeWh,
+ *                    gridChargeWh, dischargeWh, importWh, feedInWh }.
+ */
+function simulateBattery(prices, forecast, { socStart, extraWh = [], batteryPlan = null, houseWh = null } = {}) {
+	const { capWh, maxChargeW, maxDischargeW, eta } = batteryParams();
+	const gridCharge = new Map((batteryPlan?.chargeSlots || []).map(x => [x.i, x.wh]));
+	const hold = new Set(batteryPlan?.holdSlots || []);
+	const soc0 = socStart ?? (Number(getVal(ST.bydSoc, 0)) || 0);
+	let socWh = Math.min(capWh, Math.max(0, soc0 / 100 * capWh));
+
+	return prices.map((p, i) => {
+		const durH = (p.end - p.start) / 3600e3;
+		const h = parseInt(localHour(p.start), 10);
+		const floorPct = isNight(h) ? BYD_SOC_MIN_NIGHT : BYD_SOC_MIN_DAY;
+		const floorWh = floorPct / 100 * capWh;
+		const pvWh = Math.max(0, forecast?.[i] || 0);
+		const loadWh = (houseWh ? (houseWh[i] || 0) : expectedHouseLoadWh(p)) + (extraWh[i] || 0);
+		const socStartPct = socWh / capWh * 100;
+		const net = pvWh - loadWh;
+		let chargeWh = 0, gridChargeWh = 0, dischargeWh = 0, importWh = 0, feedInWh = 0;
+
+		if (net >= 0) {
+			chargeWh = Math.min(net, maxChargeW * durH, Math.max(0, capWh - socWh) / eta);
+			socWh += chargeWh * eta;
+			feedInWh = net - chargeWh;
+		} else {
+			const deficit = -net;
+			const allowed = hold.has(i) ? 0 : maxDischargeW * durH;
+			dischargeWh = Math.min(deficit, allowed, Math.max(0, socWh - floorWh) * eta);
+			socWh -= dischargeWh / eta;
+			importWh = deficit - dischargeWh;
+		}
+
+		if (gridCharge.has(i)) {
+			gridChargeWh = Math.min(gridCharge.get(i), maxChargeW * durH - chargeWh, Math.max(0, capWh - socWh) / eta);
+			gridChargeWh = Math.max(0, gridChargeWh);
+			socWh += gridChargeWh * eta;
+			importWh += gridChargeWh;
+		}
+
+		return {
+			socStartPct, socPct: socWh / capWh * 100, floorPct,
+			pvWh, loadWh, chargeWh, gridChargeWh, dischargeWh, importWh, feedInWh
+		};
+	});
+}
+
+/**
+ * Planned EV/HP/appliance loads (Wh) per price slot index.
+ */
+function plannedLoadWh(prices, evPlans, hpPlan, appliancePlans = []) {
+	const arr = new Array(prices.length).fill(0);
+	const hpW = Math.max(0, hpPowerKW()) * 1000;
+	(evPlans || []).forEach(plan => {
+		const evW = Math.max(0, plan.powerKW ?? EV_CHARGE_POWER_KW) * 1000;
+		(plan.slots || []).forEach(i => { if (prices[i]) arr[i] += evW * (prices[i].end - prices[i].start) / 3600e3; });
+	});
+	new Set([...(hpPlan?.dhwHours || []), ...(hpPlan?.heatHours || []), ...(hpPlan?.boostHours || [])])
+		.forEach(i => { if (prices[i]) arr[i] += hpW * (prices[i].end - prices[i].start) / 3600e3; });
+	(appliancePlans || []).forEach(plan => plan.slotWh.forEach(x => { arr[x.i] += x.wh; }));
+	return arr;
+}
+
+// ==== CORE SCORING ====
+/**
+ * Price scoring for an additional load in a slot, based on the simulated balance:
+ *   - Base price (effective end-customer price incl. tariff); PV surplus that
+ *     would otherwise be fed in is valued at the feed-in price instead
+ *   - Battery penalty if the battery is discharging in that slot
+ *   - Small malus if the predicted SoC is below the guard level
+ */
+function hourScore(p, sim) {
+	const h = parseInt(localHour(p.start), 10);
+	const socGuard = (isNight(h) ? BYD_SOC_MIN_NIGHT : BYD_SOC_MIN_DAY);
+	const refWh = 1000 * (p.end - p.start) / 3600e3; // 1 kW reference load
+	const pvShare = Math.min(1, Math.max(0, sim?.feedInWh || 0) / refWh);
+	const base = pvShare * (p.feedIn ?? 0) + (1 - pvShare) * p.price;
+	const penalty = (sim?.dischargeWh > 0) ? BATTERY_PENALTY : 0;
+	return base + penalty + ((sim?.socStartPct ?? 100) < socGuard ? 0.02 : 0);
+}
+
+// ==== CHEAPEST NIGHT (for log only) ====
+/**
+ * Return the two cheapest night hours (next 24h), sorted by time for display.
+ */
+function twoCheapestNight(prices) {
+	const nowLocal = new Date(RT.now()).toLocaleString('en-US', { timeZone: TZ });
+	const now = new Date(nowLocal).getTime();
+	const until = now + 24 * 3600 * 1000;
+
+	const picked = prices
+		.map(p => ({ ...p, h: parseInt(localHour(p.start), 10) }))
+		.filter(p => p.start >= now && p.start < until && isNight(p.h))
+		.sort((a, b) => a.price - b.price)
+		.slice(0, 2);
+
+	// Display in chronological order like the old log format
+	return picked.sort((a, b) => a.start - b.start);
+}
+
+// ==== PLANNER ====
+/**
+ * Pick indices of N cheapest hours according to hourScore() on the simulated balance.
+ */
+function pickCheapestHours(prices, forecast, count, sim = simulateBattery(prices, forecast)) {
+	const pairs = prices.map((p, i) => {
+		return { i, score: hourScore(p, sim[i]) };
+	});
+	pairs.sort((a, b) => a.score - b.score);
+	return pairs.slice(0, count).map(x => x.i).sort((a, b) => a - b);
+}
+
+/**
+ * Loadpoints from config EV_LOADPOINTS, or a single legacy loadpoint 1 that
+ * charges a fixed EV_TARGET_KWH at EV_CHARGE_POWER_KW.
+ *   { id, name, capacityKWh, targetSoc, chargeEfficiency, nightOnly,
+ *     departure: { default: 'HH:mm', mon..sun: 'HH:mm' | null },
+ *     phases, maxCurrentA, maxPowerKW }
+ */
+function evLoadpoints() {
+	if (Array.isArray(EV_LOADPOINTS) && EV_LOADPOINTS.length) return EV_LOADPOINTS;
+	return [{ id: 1, name: 'EV', targetKWh: EV_TARGET_KWH, maxPowerKW: EV_CHARGE_POWER_KW, nightOnly: true }];
+}
+
+/**
+ * evcc state id for a loadpoint, e.g. evState(1, 'plan.energy').
+ */
+function evState(lp, key) { return `evcc.0.loadpoints.${lp.id ?? lp}.${key}`; }
+
+/**
+ * Charge power (kW) of a loadpoint: min(maxPowerKW, phases × 230 V × maxCurrentA).
+ */
+function evPowerKW(lp) {
+	const byCurrent = lp.maxCurrentA ? (Number(lp.phases) || 1) * 230 * Number(lp.maxCurrentA) / 1000 : Infinity;
+	const p = Math.min(Number(lp.maxPowerKW) || Infinity, byCurrent);
+	return isFinite(p) ? p : EV_CHARGE_POWER_KW;
+}
+
+/**
+ * Next departure timestamp of a loadpoint (local weekday schedule), or null.
+ */
+function nextDeparture(lp, from = RT.now()) {
+	const dep = lp.departure;
+	if (!dep) return null;
+	const keys = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+	for (let d = 0; d <= 7; d++) {
+		const day = from + d * 86400e3;
+		const hhmm = (keys[localWeekday(day)] in dep) ? dep[keys[localWeekday(day)]] : dep.default;
+		if (!hhmm) continue;
+		const ts = localTimeToTs(localDateISO(day), hhmm);
+		if (ts > from) return ts;
+	}
+	return null;
+}
+
+/**
+ * Energy (kWh from the grid) a loadpoint needs: from the live evcc vehicle SoC
+ * if capacity/target are configured, else the fixed target energy.
+ */
+function evEnergyNeededKWh(lp) {
+	if (lp.capacityKWh && lp.targetSoc !== undefined) {
+		const soc = readOptionalNum(evState(lp, 'vehicleSoc'));
+		if (!isNaN(soc)) {
+			const missing = Math.max(0, Number(lp.targetSoc) - soc) / 100 * Number(lp.capacityKWh);
+			return missing / (Number(lp.chargeEfficiency) || 0.9);
+		}
+		dlog(`⚠️ EV ${lp.name || lp.id}: Fahrzeug-SoC unbekannt → Ziel ${lp.targetKWh ?? EV_TARGET_KWH} kWh.`, 'warn');
+	}
+	return Number(lp.targetKWh ?? EV_TARGET_KWH) || 0;
+}
+
+/**
+ * Log the EV planning context; false while an override suspends EV planning.
+ * The loadpoints themselves are planned by allocateLoads().
+ */
+function evPlanningAllowed(prices, forecast) {
+	const pvSumWh = pvWithinWh(prices, forecast);
+
+	// Count "cheap night hours" for log (for info only)
+	const cheapNight = prices.filter(p => {
+		const h = parseInt(localHour(p.start), 10);
+		return isNight(h) && (p.price < CHEAP_CUTOFF_EURKWH);
+	});
+
+	dlog(`📊 PV-Gesamtprognose: ${(pvSumWh / 1000).toFixed(2)} kWh (Schwelle: ${(EV_PV_THRESHOLD_KWH).toFixed(1)} kWh)`);
+	dlog(`💰 Günstige Nachtstunden (<${CHEAP_CUTOFF_EURKWH} €/kWh): ${cheapNight.length * slotHours()} Stück`);
+
+	if (overrideActive('awayUntil') || overrideActive('skipNightCharge')) {
+		dlog(`🎛️ EV-Planung ausgesetzt (${overrideActive('awayUntil') ? 'Abwesenheit' : 'keine Nachtladung'}).`);
+		return false;
+	}
+	return true;
+}
+
+/**
+ * Build the plan of one loadpoint from best-scored (night) slots before departure.
+ * Returns { loadpoint, name, value, time, hours, powerKW, slots } or null.
+ */
+function buildEvPlan(lp, prices, forecast, sim) {
+	const label = `EV ${lp.name || lp.id}`;
+	const pvSumWh = pvWithinWh(prices, forecast);
+	const nightOnly = lp.nightOnly !== false;
+
+	const connected = RT.existsState(evState(lp, 'connected')) ? getVal(evState(lp, 'connected'), false) : true;
+	if (connected === false || connected === 'false') {
+		dlog(`🔌 ${label}: nicht verbunden → kein Plan.`);
+		return null;
+	}
+
+	const needKWh = evEnergyNeededKWh(lp);
+	if (needKWh <= 0.1) {
+		dlog(`✅ ${label}: Ziel-SoC erreicht → kein Plan.`);
+		return null;
+	}
+
+	// Decide: only plan night charging if the PV forecast is too low; low-price slots are always allowed
+	const low = new Set(LOW_PRICE_MODE.ev ? lowPriceSlots(prices) : []);
+	const pvEnough = nightOnly && pvSumWh >= EV_PV_THRESHOLD_KWH * 1000;
+	if (pvEnough && !low.size) {
+		dlog(`✅ ${label}: Genug PV-Ertrag erwartet → Laden am Tag per PV.`);
+		return null;
+	}
+
+	// Number of slots required to meet the energy target
+	const powerKW = evPowerKW(lp);
+	const slotKWh = Math.max(0.1, powerKW) * slotHours();
+	const slotsNeeded = Math.max(1, Math.ceil(needKWh / slotKWh));
+
+	// Candidate slots until departure (or the next 24h), sorted ascending by score
+	const now = RT.now();
+	const departure = nextDeparture(lp, now);
+	const until = departure ?? now + 24 * 3600e3;
+	const rejectReason = p => {
+		if (p.end > until) return departure ? 'nach Abfahrt' : 'nach 24 h';
+		if (!low.has(p.i) && (pvEnough || (nightOnly && !isNight(parseInt(localHour(p.start), 10))))) return pvEnough ? 'PV reicht' : 'nur Nachtladung';
+		if (!gridFits(prices, sim, p.i, powerKW * 1000 * (p.end - p.start) / 3600e3)) return 'Netzlimit';
+		return null;
+	};
+	const scored = prices.map((p, i) => ({ ...p, i, score: hourScore(p, sim[i]) }));
+	const candidates = scored.filter(p => !rejectReason(p)).sort((a, b) => a.score - b.score);
+
+	// Pick the best slots until the energy target is met (the running slot only
+	// counts with its remaining time), then sort by time for display
+	const slotEnergy = p => Math.max(0.1, powerKW) * (p.end - p.start) / 3600e3;
+	let pickedKWh = 0;
+	const picked = candidates.filter(p => pickedKWh < needKWh && (pickedKWh += slotEnergy(p), true))
+		.sort((a, b) => a.start - b.start);
+	const pickedSet = new Set(picked.map(p => p.i));
+	const rank = new Map(candidates.map((p, k) => [p.i, k + 1]));
+	if (PLAN_EXPLAIN) scored.forEach(p => {
+		const r = rank.get(p.i);
+		const chosen = pickedSet.has(p.i);
+		explainSlot(p.i, `ev.${lp.id}`, chosen, r === undefined ? rejectReason(p)
+			: `${chosen ? 'günstig' : 'teurer als gewählte Slots'} (Rang ${r}/${candidates.length}, ${slotsNeeded} nötig)`, p.score);
+	});
+	if (!picked.length) {
+		dlog(`⚠️ ${label}: keine passenden Stunden vor Abfahrt verfügbar.`);
+		return null;
+	}
+
+	const hoursOf = slots => +slots.reduce((a, p) => a + (p.end - p.start) / 3600e3, 0).toFixed(2);
+	const value = +Math.min(needKWh, hoursOf(picked) * powerKW).toFixed(1);
+	const lowPicked = picked.filter(p => low.has(p.i) && (pvEnough || (nightOnly && !isNight(parseInt(localHour(p.start), 10)))));
+	if (lowPicked.length) dlog(`⚡ ${label}: ${hoursOf(lowPicked)} h Laden im Niedrigpreis-Fenster.`);
+	if (pickedKWh < needKWh && !pvEnough) {
+		dlog(`⚠️ ${label}: nur ${hoursOf(picked)}/${slotsNeeded * slotHours()} Stunden vor Abfahrt → ${value} von ${needKWh.toFixed(1)} kWh.`);
+	}
+
+	const startTs = picked[0].start;
+	const endTs = picked[picked.length - 1].end;
+	const fmtDT = ts => new Date(ts).toLocaleString('de-DE', {
+		timeZone: TZ, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+	});
+
+	const hoursCount = hoursOf(picked);
+	const hoursLabel = hoursCount === 1 ? 'Stunde' : 'Stunden';
+	const depStr = departure ? `, Abfahrt ${fmtDT(departure)}` : '';
+
+	dlog(`🔋 ${label}: ${nightOnly && !lowPicked.length ? 'Nachtladung' : 'Ladung'} geplant: ${value} kWh von ${fmtDT(startTs)} bis ${fmtDT(endTs)} (${hoursCount} ${hoursLabel}${depStr})`);
+	return {
+		loadpoint: lp.id, name: lp.name || String(lp.id), value, time: new Date(endTs).toISOString(),
+		hours: hoursCount, powerKW, slots: picked.map(p => p.i)
+	};
+}
+
+// ==== HEAT PUMP PLANNING ====
+/**
+ * Thermal demand model (config HEAT_PUMP):
+ *   { powerKW, minGapH,
+ *     outdoorTemp: { state, file, defaultC },
+ *     heating: { heatLossWPerK, indoorC, heatingLimitC, cop, minRunH, fallbackHours },
+ *     dhw: { tankLiters, minC, maxC, lossKPerH, tempState, cop, minRunH, fallbackHours } }
+ * Outdoor temperature series (state or file) is JSON [{ start|time, temp }]
+ * or a single number. Without temperature data the fallback hours apply.
+ */
+function hpPowerKW() { return Number(HEAT_PUMP.powerKW ?? HP_POWER_KW) || 2; }
+
+/**
+ * Outdoor temperature series [{ ts, temp }] from state/file, or null.
+ */
+function outdoorTempSeries() {
+	const src = HEAT_PUMP.outdoorTemp || {};
+	return readSeries(src, 'temp') || ((src.defaultC !== undefined) ? [{ ts: 0, temp: Number(src.defaultC) }] : null);
+}
+
+/**
+ * Temperature of the series entry nearest to ts.
+ */
+function tempAt(series, ts) { return nearestEntry(series, ts).temp; }
+
+/**
+ * Electrical heating energy (Wh) per slot from the building heat-loss coefficient.
+ */
+function heatingDemandWh(prices, series) {
+	const h = HEAT_PUMP.heating || {};
+	const hLoss = Number(h.heatLossWPerK) || 150;
+	const indoor = Number(h.indoorC ?? 21);
+	const limit = Number(h.heatingLimitC ?? 15);
+	const cop = Number(h.cop) || 3.5;
+	return prices.map(p => {
+		const tOut = tempAt(series, (p.start + p.end) / 2);
+		if (tOut >= limit) return 0;
+		return hLoss * Math.max(0, indoor - tOut) * (p.end - p.start) / 3600e3 / cop;
+	});
+}
+
+/**
+ * DHW tank demand: electrical energy (Wh) to heat to maxC and the deadline
+ * before the tank cools below minC, or null without tank temperature.
+ */
+function dhwDemand(prices) {
+	const d = HEAT_PUMP.dhw || {};
+	const tank = readOptionalNum(d.tempState);
+	if (isNaN(tank) || !prices.length) return null;
+	const minC = Number(d.minC ?? 45);
+	const maxC = Number(d.maxC ?? 55);
+	const loss = Number(d.lossKPerH ?? 0.3);
+	const horizonH = (prices[prices.length - 1].end - RT.now()) / 3600e3;
+	const deadline = loss > 0 ? RT.now() + Math.max(0, tank - minC) / loss * 3600e3 : Infinity;
+	if (tank - loss * horizonH >= minC) return { wh: 0, deadline };
+	const liters = Number(d.tankLiters) || 300;
+	const thermalWh = liters * 1.163 * Math.max(0, maxC - tank + loss * Math.max(0, (deadline - RT.now()) / 3600e3));
+	return { wh: thermalWh / (Number(d.cop) || 2.5), deadline };
+}
+
+/**
+ * Pick `count` slots in contiguous blocks of at least `minRun` slots that
+ * avoid `taken` slots, respect `minGapH` between block starts (`starts`)
+ * and end before `deadline`. Blocks are chosen by lowest summed score;
+ * slots without grid headroom for the heat pump are skipped.
+ */
+function pickBlocks(prices, sim, count, minRun, taken, starts, deadline = Infinity) {
+	const now = RT.now();
+	const hpW = hpPowerKW() * 1000;
+	const gapMs = (Number(HEAT_PUMP.minGapH) || 0) * 3600e3;
+	const picked = [];
+	let remaining = count;
+	const run = Math.max(1, minRun);
+	const findBlock = (len) => {
+		let best = null;
+		for (let i = 0; i + len <= prices.length; i++) {
+			const idx = Array.from({ length: len }, (_, k) => i + k);
+			if (prices[i].end <= now || prices[i + len - 1].end > deadline) continue;
+			if (idx.some(k => taken.has(k) || (k > i && prices[k].start !== prices[k - 1].end))) continue;
+			if (idx.some(k => !gridFits(prices, sim, k, hpW * (prices[k].end - prices[k].start) / 3600e3))) continue;
+			if (starts.some(t => Math.abs(t - prices[i].start) < gapMs)) continue;
+			const score = idx.reduce((a, k) => a + hourScore(prices[k], sim[k]), 0);
+			if (!best || score < best.score) best = { idx, score };
+		}
+		return best;
+	};
+	while (remaining > 0) {
+		// one block for the whole demand keeps compressor starts low
+		const best = findBlock(Math.max(remaining, run)) || (remaining > run ? findBlock(run) : null);
+		if (!best) break;
+		best.idx.forEach(k => taken.add(k));
+		starts.push(prices[best.idx[0]].start);
+		picked.push(...best.idx);
+		remaining -= best.idx.length;
+	}
+	return picked.sort((a, b) => a - b);
+}
+
+/**
+ * Heat pump plan: DHW and space heating get their own non-overlapping slots,
+ * sized from the thermal demand (fallback: 2h each); boostHours are the
+ * low-price slots (see LOW PRICE MODE).
+ * Returns { dhwHours, heatHours, boostHours, dhwKWh, heatKWh }.
+ */
+function buildHpPlan(prices, forecast, sim = simulateBattery(prices, forecast)) {
+	const powerKW = hpPowerKW();
+	const heatCfg = HEAT_PUMP.heating || {};
+	const dhwCfg = HEAT_PUMP.dhw || {};
+	const taken = new Set();
+	const starts = [];
+
+	// DHW first: it may have a deadline
+	const dhw = dhwDemand(prices);
+	const dhwKWh = dhw ? dhw.wh / 1000 : powerKW * (Number(dhwCfg.fallbackHours) || 2);
+	const slotKWh = powerKW * slotHours();
+	const runSlots = h => Math.ceil(h / slotHours());
+	const dhwNeed = (dhwKWh > 0 && !overrideActive('awayUntil')) ? Math.ceil(dhwKWh / slotKWh) : 0;
+	const dhwHours = pickBlocks(prices, sim, dhwNeed, runSlots(Number(dhwCfg.minRunH) || 1), taken, starts, dhw?.deadline ?? Infinity);
+
+	const series = outdoorTempSeries();
+	const heatKWh = series
+		? heatingDemandWh(prices, series).reduce((a, b) => a + b, 0) / 1000
+		: powerKW * (heatCfg.fallbackHours ?? 2);
+	const heatNeed = heatKWh > 0 ? Math.ceil(heatKWh / slotKWh) : 0;
+	const heatHours = pickBlocks(prices, sim, heatNeed, runSlots(Number(heatCfg.minRunH) || 2), taken, starts);
+
+	// Low-price slots: raise DHW / flow offset to store heat (extra run time)
+	const boostHours = (Number(LOW_PRICE_MODE.dhwBoostK) > 0 || Number(LOW_PRICE_MODE.heatOffsetK) > 0) ? lowPriceSlots(prices) : [];
+
+	if (PLAN_EXPLAIN && dhwNeed + heatNeed > 0) {
+		const hpWh = p => powerKW * 1000 * (p.end - p.start) / 3600e3;
+		prices.forEach((p, i) => {
+			const chosen = dhwHours.includes(i) || heatHours.includes(i);
+			const reason = chosen ? (dhwHours.includes(i) ? 'Warmwasser-Block' : 'Heiz-Block')
+				: (!gridFits(prices, sim, i, hpWh(p)) ? 'Netzlimit' : 'teurer als gewählte Blöcke');
+			explainSlot(i, 'hp', chosen, reason, hourScore(p, sim[i]));
+		});
+	}
+
+	dlog(`🌡️ Wärmebedarf: Heizen ${heatKWh.toFixed(1)} kWh${series ? '' : ' (ohne Temperaturdaten)'}, Warmwasser ${dhwKWh.toFixed(1)} kWh${dhw ? '' : ' (ohne Speichertemperatur)'}`);
+	if (dhwHours.length < dhwNeed || heatHours.length < heatNeed) {
+		const h = n => n * slotHours();
+		dlog(`⚠️ Wärmepumpe: nur ${h(dhwHours.length)}/${h(dhwNeed)} h Warmwasser, ${h(heatHours.length)}/${h(heatNeed)} h Heizen planbar.`);
+	}
+	return { dhwHours, heatHours, boostHours, dhwKWh: +dhwKWh.toFixed(2), heatKWh: +heatKWh.toFixed(2) };
+}
+
+/**
+ * Battery grid-charging / arbitrage plan (config BATTERY_GRID_CHARGE):
+ *   { enabled, maxPvKWh, cycleWearEurKWh,
+ *     control: { chargeState, chargeValue, idleValue, minSocState, holdMinSoc, releaseMinSoc } }
+ * On low-PV days the most expensive slots with remaining grid import are
+ * matched greedily with earlier cheap slots as long as the spread beats
+ * BATTERY_PENALTY (roundtrip losses) plus cycle wear. Capacity, charge and
+ * discharge limits and the SoC floors are checked against the simulation.
+ * Slots before a planned discharge that are cheaper than every discharge
+ * slot still ahead are "held" (no discharge) so the energy survives.
+ * Returns { chargeSlots: [{ i, wh }], dischargeSlots: [{ i, wh }], holdSlots, savingsEur } or null.
+ */
+function buildBatteryPlan(prices, forecast, sim) {
+	const cfg = BATTERY_GRID_CHARGE || {};
+	if (!cfg.enabled) return null;
+
+	const pvSumWh = pvWithinWh(prices, forecast);
+	const maxPvWh = (Number(cfg.maxPvKWh) || 8) * 1000;
+	if (pvSumWh >= maxPvWh) {
+		dlog(`🔋 Akku-Netzladung: nicht nötig (PV ${(pvSumWh / 1000).toFixed(1)} kWh ≥ ${(maxPvWh / 1000).toFixed(1)} kWh).`);
+		return null;
+	}
+
+	const { capWh, maxChargeW, maxDischargeW, eta } = batteryParams();
+	const wear = Number(cfg.cycleWearEurKWh) || 0;
+	const minSpread = BATTERY_PENALTY + wear;
+	const now = RT.now();
+	const extraSocWh = new Array(prices.length).fill(0);  // energy stored on top of the simulation
+	const chargeWh = new Array(prices.length).fill(0);    // grid energy drawn per slot
+	const dischargeWh = new Array(prices.length).fill(0); // extra delivery per slot
+	let savingsEur = 0;
+
+	const sellers = prices
+		.map((p, i) => ({ i, price: p.price }))
+		.filter(x => sim[x.i] && sim[x.i].importWh > 1)
+		.sort((a, b) => b.price - a.price);
+
+	for (const j of sellers) {
+		const durJ = (prices[j.i].end - prices[j.i].start) / 3600e3;
+		let needWh = Math.min(sim[j.i].importWh, maxDischargeW * durJ - sim[j.i].dischargeWh) - dischargeWh[j.i];
+
+		const buyers = prices
+			.map((p, i) => ({ i, price: p.price }))
+			.filter(x => x.i < j.i && prices[x.i].end > now && dischargeWh[x.i] === 0
+				&& j.price - x.price > minSpread)
+			.sort((a, b) => a.price - b.price);
+
+		for (const b of buyers) {
+			if (needWh <= 1) break;
+			const durB = (prices[b.i].end - prices[b.i].start) / 3600e3;
+			const chargeRoomWh = maxChargeW * durB - (sim[b.i].chargeWh || 0) - chargeWh[b.i];
+			let headroomWh = Infinity;
+			for (let k = b.i; k < j.i; k++) headroomWh = Math.min(headroomWh, capWh - sim[k].socPct / 100 * capWh - extraSocWh[k]);
+			// energy below the SoC floor at discharge time stays in the battery
+			const stuckWh = Math.max(0, sim[j.i].floorPct / 100 * capWh - sim[j.i].socStartPct / 100 * capWh - extraSocWh[j.i]);
+			const storedWh = Math.min(needWh / eta + stuckWh, chargeRoomWh * eta, headroomWh);
+			if (storedWh - stuckWh <= 1) continue;
+
+			const deliveredWh = (storedWh - stuckWh) * eta;
+			const gainEur = deliveredWh / 1000 * (j.price - wear) - (storedWh / eta) / 1000 * b.price;
+			if (gainEur <= 0) continue;
+			chargeWh[b.i] += storedWh / eta;
+			dischargeWh[j.i] += deliveredWh;
+			for (let k = b.i; k < prices.length; k++) extraSocWh[k] += (k < j.i) ? storedWh : stuckWh;
+			needWh -= deliveredWh;
+			savingsEur += gainEur;
+		}
+	}
+
+	const chargeSlots = chargeWh.map((wh, i) => ({ i, wh: Math.round(wh) })).filter(x => x.wh > 0);
+	const dischargeSlots = dischargeWh.map((wh, i) => ({ i, wh: Math.round(wh) })).filter(x => x.wh > 0);
+	if (!chargeSlots.length) {
+		dlog('🔋 Akku-Netzladung: keine lohnende Preisspanne.');
+		return null;
+	}
+
+	// Hold slots: cheaper than every planned discharge slot still ahead
+	const first = chargeSlots[0].i;
+	const last = dischargeSlots[dischargeSlots.length - 1].i;
+	const holdSlots = [];
+	for (let k = first; k < last; k++) {
+		if (dischargeWh[k] > 0) continue;
+		const ahead = dischargeSlots.filter(x => x.i > k).map(x => prices[x.i].price);
+		if (ahead.length && prices[k].price < Math.min(...ahead)) holdSlots.push(k);
+	}
+
+	const fmt = x => `${fmtTimeHM(new Date(prices[x.i].start))} (${(x.wh / 1000).toFixed(1)} kWh, ${(prices[x.i].price * 100).toFixed(1)} ct)`;
+	dlog(`🔋 Akku-Netzladung: ${chargeSlots.map(fmt).join(', ')} → Entladung ${dischargeSlots.map(fmt).join(', ')}; Ersparnis ≈ ${savingsEur.toFixed(2)} €`);
+	return { chargeSlots, dischargeSlots, holdSlots, savingsEur: +savingsEur.toFixed(2) };
+}
+
+// ==== LOW PRICE MODE ====
+/**
+ * Slots with a spot price below thresholdCtKWh (config LOW_PRICE_MODE):
+ *   { enabled, thresholdCtKWh, battery, ev, dhwBoostK, heatOffsetK,
+ *     feedInLimit: { state, value, restore } }
+ * In these slots the battery charges from the grid (battery), EV loadpoints
+ * may charge in any hour (ev), the heat pump raises the DHW setpoint and the
+ * flow offset (dhwBoostK / heatOffsetK, 0 = off) and feedInLimit.state is set
+ * to feedInLimit.value. All writes are actuator windows, so every register
+ * returns to its previous value (or `restore`) when the window ends.
+ */
+function lowPriceSlots(prices) {
+	if (!LOW_PRICE_MODE.enabled) return [];
+	const now = RT.now();
+	const limit = Number(LOW_PRICE_MODE.thresholdCtKWh) / 100;
+	return prices.map((p, i) => ((p.end > now && (p.spot ?? p.price) < limit) ? i : -1)).filter(i => i >= 0);
+}
+
+/**
+ * Add grid charging in all low-price slots to the battery plan (or start
+ * one); charge energy is limited by the simulation (capacity, charge power).
+ */
+function addLowPriceCharge(plan, prices, forecast, extraWh) {
+	const low = LOW_PRICE_MODE.battery ? lowPriceSlots(prices) : [];
+	if (!low.length) return plan;
+	const { maxChargeW } = batteryParams();
+	const wanted = new Map((plan?.chargeSlots || []).map(x => [x.i, x.wh]));
+	low.forEach(i => wanted.set(i, maxChargeW * (prices[i].end - prices[i].start) / 3600e3));
+	const draft = {
+		dischargeSlots: [], holdSlots: [], savingsEur: 0, ...plan,
+		chargeSlots: [...wanted].map(([i, wh]) => ({ i, wh })).sort((a, b) => a.i - b.i)
+	};
+	const sim = simulateBattery(prices, forecast, { extraWh, batteryPlan: draft });
+	const chargeSlots = draft.chargeSlots.map(x => ({ i: x.i, wh: Math.round(sim[x.i].gridChargeWh) })).filter(x => x.wh > 0);
+	const lowWh = chargeSlots.filter(x => low.includes(x.i)).reduce((a, x) => a + x.wh, 0);
+	dlog(`⚡ Akku Niedrigpreis: Netzladung ${(lowWh / 1000).toFixed(1)} kWh in ${low.length * slotHours()} h.`);
+	return (chargeSlots.length || plan) ? { ...draft, chargeSlots } : null;
+}
+
+/**
+ * Log the low-price windows and limit the feed-in during them.
+ */
+function applyLowPriceMode(prices) {
+	const low = lowPriceSlots(prices);
+	const wins = mergeSlotWindows(prices, low);
+	if (wins.length) {
+		const fmt = w => {
+			const min = Math.min(...prices.filter(p => p.start >= w.start && p.end <= w.end).map(p => p.spot ?? p.price));
+			return `${fmtWindow(w.start, w.end)} (bis ${(min * 100).toFixed(1)} ct)`;
+		};
+		dlog(`⚡ Niedrigpreis-Fenster: ${wins.map(fmt).join(', ')}`);
+	}
+	const lim = LOW_PRICE_MODE.feedInLimit || {};
+	planActuatorWindows('grid.feedIn', (actuationEnabled() && lim.state && RT.existsState(lim.state))
+		? wins.map(w => ({ register: lim.state, from: w.start, until: w.end, value: lim.value ?? 0, restore: lim.restore }))
+		: []);
+}
+
+// ==== LOAD ALLOCATOR ====
+/**
+ * Joint allocation of the flexible loads (config GRID_LIMIT):
+ *   { maxImportKW, limitWindows: [{ from: 'HH:mm', to: 'HH:mm', kW, days? }],
+ *     priorities: { ev, hp, appliance }, solverBudgetMs }
+ * Every connected EV loadpoint, the heat pump and every appliance is a task.
+ * Tasks only take slots in which the predicted grid import stays within the
+ * limit (a matching limitWindow overrides maxImportKW, e.g. §14a dimming).
+ * Greedy: tasks by priority (a loadpoint's or appliance's own `priority`
+ * wins over the default), each one planned on the simulation including the
+ * tasks before it. A local search then swaps task pairs as long as the
+ * objective drops: predicted net energy cost, plus UNSERVED_EUR_KWH ×
+ * (1 + priority) per kWh a task gets less than without the limit, plus
+ * OVERLOAD_EUR_KWH per kWh above the limit. If the search runs past
+ * solverBudgetMs, the greedy order is used. Battery grid charging comes
+ * last and only gets the headroom the loads leave.
+ */
+const LOAD_PLAN_STATE = `${GRAFANA_BASE}.loadPlanJson`;
+const UNSERVED_EUR_KWH = 1;     // objective: per kWh of unserved demand, × (1 + priority)
+const OVERLOAD_EUR_KWH = 10;    // objective: per kWh imported above the limit
+let GRID_CAP_ACTIVE = true;     // false while allocateLoads() measures the unconstrained demand
+
+/**
+ * Import limit (W) of a slot; Infinity without a limit.
+ */
+function gridLimitW(p) {
+	const win = (GRID_LIMIT.limitWindows || []).find(w => inTimeWindow(w, p.start));
+	const kW = win ? win.kW : GRID_LIMIT.maxImportKW;
+	return (kW === undefined || kW === null) ? Infinity : Number(kW) * 1000;
+}
+
+/**
+ * Grid import (Wh) still available in slot i on top of the simulation.
+ * The battery may be empty by then, so only PV counts against the load.
+ */
+function gridHeadroomWh(prices, sim, i) {
+	if (!GRID_CAP_ACTIVE) return Infinity;
+	const p = prices[i];
+	const s = sim[i] || {};
+	const importWh = Math.max(0, (s.loadWh || 0) - (s.pvWh || 0)) + (s.gridChargeWh || 0);
+	return gridLimitW(p) * (p.end - p.start) / 3600e3 - importWh;
+}
+
+/**
+ * True if an additional load of `wh` in slot i stays within the grid limit;
+ * PV surplus covers part of it first.
+ */
+function gridFits(prices, sim, i, wh) {
+	const surplusWh = Math.max(0, (sim[i]?.pvWh || 0) - (sim[i]?.loadWh || 0));
+	return Math.max(0, wh - surplusWh) <= gridHeadroomWh(prices, sim, i) + 1;
+}
+
+/**
+ * Cut the battery's grid charging to the import headroom the loads leave.
+ */
+function limitGridCharge(plan, prices, sim) {
+	if (!plan) return plan;
+	let cutWh = 0;
+	const chargeSlots = plan.chargeSlots.map(x => {
+		const wh = Math.round(Math.max(0, Math.min(x.wh, gridHeadroomWh(prices, sim, x.i))));
+		cutWh += x.wh - wh;
+		return { i: x.i, wh };
+	}).filter(x => x.wh > 0);
+	if (cutWh < 1) return plan;
+	dlog(`🔌 Netzlimit: Akku-Netzladung um ${(cutWh / 1000).toFixed(1)} kWh gekürzt.`);
+	return chargeSlots.length ? { ...plan, chargeSlots } : null;
+}
+
+/**
+ * Flexible loads as allocation tasks:
+ *   { key, label, priority, build(sim) → plan, add(res, plan), kWh(plan) }
+ */
+function allocationTasks(prices, forecast) {
+	const prio = GRID_LIMIT.priorities || {};
+	const tasks = [];
+	if (evPlanningAllowed(prices, forecast)) {
+		evLoadpoints().forEach(lp => tasks.push({
+			key: `ev.${lp.id}`, label: `EV ${lp.name || lp.id}`, priority: lp.priority ?? prio.ev,
+			build: sim => buildEvPlan(lp, prices, forecast, sim),
+			add: (res, plan) => { if (plan) res.evPlans.push(plan); },
+			kWh: plan => plan?.value || 0
+		}));
+	}
+	tasks.push({
+		key: 'hp', label: 'WP', priority: prio.hp,
+		build: sim => buildHpPlan(prices, forecast, sim),
+		add: (res, plan) => { res.hpPlan = plan; },
+		kWh: plan => ((plan?.dhwHours.length || 0) + (plan?.heatHours.length || 0)) * hpPowerKW() * slotHours()
+	});
+	appliances().forEach(a => tasks.push({
+		key: `appliance.${a.id}`, label: a.name || a.id, priority: a.priority ?? prio.appliance,
+		build: sim => buildAppliancePlan(a, prices, sim),
+		add: (res, plan) => { if (plan) res.appliancePlans.push(plan); },
+		kWh: plan => plan?.energyKWh || 0
+	}));
+	return tasks.map((t, k) => ({ ...t, priority: Number(t.priority) || 0, pos: k }));
+}
+
+/**
+ * Combined plan per slot: average power (W) of house, PV, EV, heat pump,
+ * appliances, battery (+ charge / − discharge), predicted grid power
+ * (+ import / − feed-in) and the import limit (null = none).
+ */
+function combinedLoadPlan(prices, { evPlans, hpPlan, appliancePlans, sim }) {
+	const evWh = plannedLoadWh(prices, evPlans, null);
+	const hpWh = plannedLoadWh(prices, [], hpPlan);
+	const appWh = plannedLoadWh(prices, [], null, appliancePlans);
+	return prices.map((p, i) => {
+		const s = sim[i] || {};
+		const w = wh => Math.round((wh || 0) * 3600e3 / (p.end - p.start));
+		const limitW = gridLimitW(p);
+		return {
+			start: new Date(p.start).toISOString(), end: new Date(p.end).toISOString(),
+			houseW: w(s.loadWh - evWh[i] - hpWh[i] - appWh[i]), pvW: w(s.pvWh),
+			evW: w(evWh[i]), hpW: w(hpWh[i]), applianceW: w(appWh[i]),
+			batteryW: w(s.chargeWh + s.gridChargeWh - s.dischargeWh),
+			gridW: w(s.importWh - s.feedInWh), limitW: isFinite(limitW) ? limitW : null
+		};
+	});
+}
+
+/**
+ * Plan all flexible loads and the battery together within the grid limit.
+ * Returns { evPlans, hpPlan, appliancePlans, batteryPlan, extraWh, sim, loadPlan, explain, solver }.
+ */
+function allocateLoads(prices, forecast) {
+	const socStart = Number(getVal(ST.bydSoc, 0)) || 0;
+	const simFor = (extraWh, batteryPlan = null) => simulateBattery(prices, forecast, { socStart, extraWh, batteryPlan });
+	const limited = prices.some(p => isFinite(gridLimitW(p)));
+	const tasks = allocationTasks(prices, forecast);
+
+	const run = order => {
+		const res = { evPlans: [], hpPlan: null, appliancePlans: [], plans: {} };
+		for (const t of order) {
+			const plan = t.build(simFor(plannedLoadWh(prices, res.evPlans, res.hpPlan, res.appliancePlans)));
+			t.add(res, plan);
+			res.plans[t.key] = plan;
+		}
+		res.extraWh = plannedLoadWh(prices, res.evPlans, res.hpPlan, res.appliancePlans);
+		const simLoads = simFor(res.extraWh);
+		res.batteryPlan = limitGridCharge(addLowPriceCharge(buildBatteryPlan(prices, forecast, simLoads), prices, forecast, res.extraWh), prices, simLoads);
+		res.sim = res.batteryPlan ? simFor(res.extraWh, res.batteryPlan) : simLoads;
+		return res;
+	};
+	const quiet = fn => {
+		DLOG_MUTED = true;
+		try { return fn(); } finally { DLOG_MUTED = false; }
+	};
+
+	// demand without the limit: the reference for unserved energy
+	const demand = {};
+	quiet(() => {
+		GRID_CAP_ACTIVE = false;
+		try {
+			const base = simFor([]);
+			tasks.forEach(t => { demand[t.key] = t.kWh(t.build(base)); });
+		} finally { GRID_CAP_ACTIVE = true; }
+	});
+	const unservedKWh = (t, res) => Math.max(0, (demand[t.key] ?? 0) - t.kWh(res.plans[t.key]));
+	const objective = res => res.sim.reduce((a, s, i) => {
+		const p = prices[i];
+		const overWh = Math.max(0, s.importWh - gridLimitW(p) * (p.end - p.start) / 3600e3);
+		return a + (s.importWh * p.price - s.feedInWh * (p.feedIn ?? 0) + overWh * OVERLOAD_EUR_KWH) / 1000;
+	}, 0) + tasks.reduce((a, t) => a + unservedKWh(t, res) * UNSERVED_EUR_KWH * (1 + t.priority), 0);
+
+	// greedy by priority, then pairwise swaps of the tasks with demand while the objective improves
+	const wanted = tasks.filter(t => demand[t.key] > 0).sort((a, b) => b.priority - a.priority || a.pos - b.pos);
+	const greedy = [...wanted, ...tasks.filter(t => !wanted.includes(t))];
+	const swappable = wanted.length;
+	const budgetMs = Number(GRID_LIMIT.solverBudgetMs) || 0;
+	const t0 = Date.now();
+	let best = { order: greedy, score: 0 };
+	let variants = 0;
+	let timedOut = false;
+	if (swappable > 1 && budgetMs > 0) {
+		quiet(() => {
+			best.score = objective(run(greedy));
+			for (let improved = true; improved && !timedOut;) {
+				improved = false;
+				for (let a = 0; a < swappable - 1 && !improved && !timedOut; a++) {
+					for (let b = a + 1; b < swappable && !improved; b++) {
+						if (Date.now() - t0 > budgetMs) { timedOut = true; break; }
+						const order = best.order.slice();
+						[order[a], order[b]] = [order[b], order[a]];
+						const score = objective(run(order));
+						variants++;
+						if (score < best.score - 0.005) { best = { order, score }; improved = true; }
+					}
+				}
+			}
+		});
+	}
+	const order = timedOut ? greedy : best.order;
+	const ms = Date.now() - t0;
+
+	// the final run records why each slot was chosen or rejected (see PLAN HISTORY)
+	const explain = {};
+	PLAN_EXPLAIN = explain;
+	let res;
+	try { res = run(order); } finally { PLAN_EXPLAIN = null; }
+	if (tasks.some(t => t.key.startsWith('ev.')) && !res.evPlans.length) dlog('❌ Keine Nachtladung geplant.');
+	const names = order.map(t => t.label).join(' → ');
+	if (timedOut) dlog(`⏱️ Lastverteilung: Zeitbudget ${budgetMs} ms überschritten → Greedy nach Priorität (${names}).`, 'warn');
+	else if (order !== greedy) dlog(`🧮 Lastverteilung optimiert: ${names} (${variants} Varianten, ${ms} ms).`);
+
+	const loadPlan = combinedLoadPlan(prices, res);
+	if (limited) {
+		const peak = loadPlan.reduce((m, x) => (x.gridW > m.gridW ? x : m), loadPlan[0]);
+		const over = loadPlan.filter(x => x.limitW !== null && x.gridW > x.limitW);
+		const cut = tasks.filter(t => unservedKWh(t, res) > 0.05)
+			.map(t => `${t.label} ${t.kWh(res.plans[t.key]).toFixed(1)}/${demand[t.key].toFixed(1)} kWh`);
+		dlog(`🔌 Netzlimit: max. Bezug ${(peak.gridW / 1000).toFixed(1)} kW um ${fmtTimeHM(new Date(peak.start))}`
+			+ `${cut.length ? `; gekürzt: ${cut.join(', ')}` : ''}${over.length ? `; ${over.length} Slot(s) über dem Limit` : ''}.`,
+		over.length ? 'warn' : 'info');
+	}
+
+	const { plans, ...out } = res;
+	return { ...out, loadPlan, explain, solver: { order: order.map(t => t.key), greedy: order === greedy, timedOut, variants, ms } };
+}
+
+// ==== MANUAL OVERRIDES ====
+/**
+ * Writable switches under control.* for VIS/Grafana (durations: config CONTROL_OVERRIDES):
+ *   evChargeNow     – connected loadpoints charge now (evChargeNowH, default 4 h)
+ *   skipNightCharge – no planned EV charging until `skipUntil` (default 12:00) tomorrow
+ *   dhwBoostNow     – raise the DHW setpoint by boostK (dhwBoostH, default 2 h)
+ *   awayUntil       – 'YYYY-MM-DD' (through the end of that day) or ISO time: no EV and DHW planning until then
+ *   pauseAll        – no actuation at all (pauseAllH, default 24 h); plans are still computed
+ * Active overrides and their expiry are persisted in control.activeJson.
+ */
+const CONTROL_BASE = `${GRAFANA_BASE}.control`;
+const OVERRIDE_KEYS = {
+	evChargeNow:     { type: 'boolean', def: false, label: 'EV sofort laden' },
+	skipNightCharge: { type: 'boolean', def: false, label: 'keine Nachtladung' },
+	dhwBoostNow:     { type: 'boolean', def: false, label: 'Warmwasser-Boost' },
+	awayUntil:       { type: 'string', def: '', label: 'Abwesend' },
+	pauseAll:        { type: 'boolean', def: false, label: 'Automatik pausiert' }
+};
+const OVERRIDES = {};           // key → { since, until }
+const OVERRIDE_JOBS = {};       // key → schedule handle of the expiry
+let OVERRIDE_REPLAN = null;     // debounce timer: several switches in a row → one replan
+
+function restoreOverrides() {
+	for (const [key, c] of Object.entries(OVERRIDE_KEYS)) {
+		ensureState(`${CONTROL_BASE}.${key}`, { type: c.type, read: true, write: true, def: c.def });
+	}
+	ensureState(`${CONTROL_BASE}.activeJson`, { type: 'string', read: true, write: true, def: '{}' });
+	Object.assign(OVERRIDES, getVal(`${CONTROL_BASE}.activeJson`, {}, { json: true }) || {});
+	expireOverrides();
+	Object.keys(OVERRIDES).forEach(armOverrideExpiry);
+}
+
+function persistOverrides() { setVal(`${CONTROL_BASE}.activeJson`, JSON.stringify(OVERRIDES)); }
+
+function overrideActive(key, now = RT.now()) {
+	const o = OVERRIDES[key];
+	return !!o && o.until > now;
+}
+
+/**
+ * Expiry timestamp for switching `key` on with value `val`, or null if invalid.
+ */
+function overrideUntil(key, val, now = RT.now()) {
+	const cfg = CONTROL_OVERRIDES || {};
+	switch (key) {
+		case 'evChargeNow': return now + (Number(cfg.evChargeNowH) || 4) * 3600e3;
+		case 'dhwBoostNow': return now + (Number(cfg.dhwBoostH) || 2) * 3600e3;
+		case 'pauseAll': return now + (Number(cfg.pauseAllH) || 24) * 3600e3;
+		case 'skipNightCharge': {
+			const at = cfg.skipUntil || '12:00';
+			const today = localTimeToTs(localDateISO(now), at);
+			return today > now ? today : localTimeToTs(localDateISO(now + 86400e3), at);
+		}
+		case 'awayUntil': {
+			const s = String(val).trim();
+			const ts = /^\d{4}-\d{2}-\d{2}$/.test(s) ? localTimeToTs(s, '24:00') : Date.parse(s);
+			return (isNaN(ts) || ts <= now) ? null : ts;
+		}
+		default: return null;
+	}
+}
+
+function armOverrideExpiry(key) {
+	if (OVERRIDE_JOBS[key]) RT.clearSchedule(OVERRIDE_JOBS[key]);
+	OVERRIDE_JOBS[key] = OVERRIDES[key] ? RT.schedule(new Date(OVERRIDES[key].until), () => { expireOverrides(); plan24h(); }) : null;
+}
+
+/**
+ * Drop expired overrides and reset their switches.
+ */
+function expireOverrides(now = RT.now()) {
+	let changed = false;
+	for (const key of Object.keys(OVERRIDES)) {
+		if (OVERRIDES[key].until > now) continue;
+		delete OVERRIDES[key];
+		setVal(`${CONTROL_BASE}.${key}`, OVERRIDE_KEYS[key].def);
+		dlog(`⏱️ Override '${OVERRIDE_KEYS[key].label}' abgelaufen.`);
+		changed = true;
+	}
+	if (changed) persistOverrides();
+}
+
+/**
+ * A control state was written (ack=false): activate/clear the override and replan.
+ */
+function onOverrideChange(key, state) {
+	const now = RT.now();
+	const val = state?.val;
+	const on = OVERRIDE_KEYS[key].type === 'boolean' ? (val === true || val === 'true') : !!String(val ?? '').trim();
+	const until = on ? overrideUntil(key, val, now) : null;
+	if (on && !until) {
+		dlog(`⚠️ Override '${OVERRIDE_KEYS[key].label}': ungültiger Wert '${val}' → ignoriert.`, 'warn');
+		delete OVERRIDES[key];
+		setVal(`${CONTROL_BASE}.${key}`, OVERRIDE_KEYS[key].def);
+	} else if (until) {
+		OVERRIDES[key] = { since: now, until };
+		setVal(`${CONTROL_BASE}.${key}`, val);
+		dlog(`🎛️ Override '${OVERRIDE_KEYS[key].label}' aktiv bis ${formatDateDE(until)}.`);
+	} else {
+		if (OVERRIDES[key]) dlog(`🎛️ Override '${OVERRIDE_KEYS[key].label}' beendet.`);
+		delete OVERRIDES[key];
+		setVal(`${CONTROL_BASE}.${key}`, OVERRIDE_KEYS[key].def);
+	}
+	persistOverrides();
+	armOverrideExpiry(key);
+	if (OVERRIDE_REPLAN) clearTimeout(OVERRIDE_REPLAN);
+	OVERRIDE_REPLAN = setTimeout(() => { OVERRIDE_REPLAN = null; plan24h(); }, 2000);
+}
+
+/**
+ * Active overrides as short text, e.g. "EV sofort laden bis 18:00".
+ */
+function overridesText() {
+	return Object.keys(OVERRIDE_KEYS)
+		.filter(k => overrideActive(k))
+		.map(k => {
+			const until = OVERRIDES[k].until;
+			const day = localDateISO(until) === localDateISO(RT.now()) ? '' : `${formatDateDE(until).slice(0, 6)} `;
+			return `${OVERRIDE_KEYS[k].label} bis ${day}${fmtTimeHM(new Date(until))}`;
+		})
+		.join(', ');
+}
+
+/**
+ * Override actuation that is not part of a plan: the DHW boost.
+ */
+function applyOverrides() {
+	const o = OVERRIDES.dhwBoostNow;
+	planActuatorWindows('override.dhw', (overrideActive('dhwBoostNow') && actuationEnabled())
+		? [{ register: ST.hpDhwSet, from: o.since, until: o.until, offset: Number(CONTROL_OVERRIDES.boostK) || 5 }]
+		: []);
+}
+
+/**
+ * True if planned setpoints/modes may be written (SET_PLANS and no pauseAll override).
+ */
+function actuationEnabled() { return SET_PLANS && !overrideActive('pauseAll'); }
+
+restoreOverrides();
+
+// ==== ACTUATOR JOBS ====
+/**
+ * Central manager for planned setpoint changes (config ACTUATORS):
+ *   { dailyWriteBudget, budgets: { '<stateId>': n } }
+ * Each owner (hp.dhw, battery.charge, …) holds registers for time windows
+ * { register, from, until, value | offset, restore }. A new plan replaces all
+ * windows of its owner; a running window continues only if the new plan
+ * continues it (see planActuatorWindows). At every window boundary the
+ * registers are reconciled:
+ * inside a window the highest requested value is written, afterwards the
+ * value recorded before the first change (or `restore`) is written back.
+ * Writes are skipped when the register already has the desired value.
+ * The journal is persisted, so a restart restores registers whose windows
+ * ended while the script was down and re-arms the pending boundaries.
+ * Every register has a daily write budget (EEPROM wear, see README); a change
+ * is only made if the budget still covers the write back.
+ */
+const ACT_JOURNAL_STATE = `${GRAFANA_BASE}.actuators.journalJson`;
+const ACT = { windows: [], originals: {}, writes: {} }; // originals: register → { val, restore }
+let ACT_JOBS = [];              // schedule handles of the pending boundaries
+
+function restoreActuatorJournal() {
+	ensureState(ACT_JOURNAL_STATE, { type: 'string', read: true, write: true, def: '{}' });
+	Object.assign(ACT, getVal(ACT_JOURNAL_STATE, {}, { json: true }) || {});
+}
+
+function persistActuatorJournal() { setVal(ACT_JOURNAL_STATE, JSON.stringify(ACT)); }
+
+function actWriteBudget(register) {
+	const cfg = ACTUATORS || {};
+	return Number(cfg.budgets?.[register] ?? cfg.dailyWriteBudget ?? 24);
+}
+
+/**
+ * Writes of `register` today (resets with the local date).
+ */
+function actWritesToday(register) {
+	const today = localDateISO(RT.now());
+	const w = ACT.writes[register];
+	if (!w || w.day !== today) ACT.writes[register] = { day: today, count: 0 };
+	return ACT.writes[register];
+}
+
+/**
+ * Write a register unless it already holds `value`. `reserve` keeps budget
+ * for later writes (the write back after a change).
+ */
+function actWrite(register, value, reason, reserve = 0) {
+	if (!RT.existsState(register)) {
+		dlog(`⚠️ Aktor ${register} existiert nicht → '${value}' (${reason}) übersprungen.`, 'warn');
+		return false;
+	}
+	const cur = getVal(register, null);
+	if (cur !== null && (String(cur) === String(value) || parseNum(cur) === parseNum(value))) return true;
+	const w = actWritesToday(register);
+	const budget = actWriteBudget(register);
+	if (w.count + 1 + reserve > budget) {
+		dlog(`⚠️ Aktor ${register}: Schreibbudget (${w.count}/${budget} heute) erschöpft → '${value}' (${reason}) übersprungen.`, 'warn');
+		return false;
+	}
+	setVal(register, value);
+	w.count++;
+	dlog(`🔧 ${register} → ${value} (${reason}, ${w.count}/${budget} heute)`);
+	return true;
+}
+
+/**
+ * Bring all registers to their desired value for `now` and re-arm the next boundaries.
+ */
+function reconcileActuators(now = RT.now()) {
+	ACT.windows = ACT.windows.filter(w => w.until === null || w.until > now);
+	const registers = new Set([...ACT.windows.map(w => w.register), ...Object.keys(ACT.originals)]);
+
+	for (const register of registers) {
+		const active = ACT.windows.filter(w => w.register === register && w.from <= now);
+		if (active.length) {
+			if (!ACT.originals[register]) {
+				const cur = getVal(register, null);
+				if (cur === null) continue;
+				ACT.originals[register] = { val: cur, restore: active[0].restore };
+			}
+			const base = parseNum(ACT.originals[register].val);
+			const values = active.map(w => w.offset !== undefined ? base + Number(w.offset) : w.value);
+			const target = values.reduce((a, b) => (parseNum(b) > parseNum(a) ? b : a));
+			actWrite(register, target, active.map(w => w.owner).join('+'), 1);
+		} else {
+			const orig = ACT.originals[register];
+			if (!orig) continue;
+			if (actWrite(register, orig.restore ?? orig.val, 'Rücksetzen')) delete ACT.originals[register];
+		}
+	}
+
+	ACT_JOBS.forEach(j => RT.clearSchedule(j));
+	const boundaries = new Set();
+	ACT.windows.forEach(w => {
+		if (w.from > now) boundaries.add(w.from);
+		if (w.until !== null) boundaries.add(w.until);
+	});
+	ACT_JOBS = [...boundaries].map(t => RT.schedule(new Date(t), () => { reconcileActuators(); flushDetailStates(); }));
+	persistActuatorJournal();
+}
+
+/**
+ * Replace all windows of `owner` and reconcile immediately. A new window that
+ * continues a running one of the same register and value (overlapping or
+ * adjacent) takes over its start, so the register is not restored in between;
+ * running windows without such a successor end now (an empty list cancels).
+ * Windows: [{ register, from, until (null = open end), value | offset, restore? }]
+ */
+function planActuatorWindows(owner, windows) {
+	const now = RT.now();
+	const running = ACT.windows.filter(w => w.owner === owner && w.from <= now && (w.until === null || w.until > now));
+	const next = (windows || []).map(w => {
+		const n = { owner, ...w, until: w.until ?? null };
+		const prev = running.find(r => r.register === n.register && r.value === n.value && r.offset === n.offset
+			&& (r.until === null || n.from <= r.until));
+		return prev ? { ...n, from: Math.min(n.from, prev.from) } : n;
+	});
+	ACT.windows = ACT.windows.filter(w => w.owner !== owner).concat(next);
+	reconcileActuators();
+}
+
+restoreActuatorJournal();
+reconcileActuators();
+
+// ==== APPLY (guards) ====
+/**
+ * Persist EV plan JSON for EVCC (per loadpoint) if the state exists.
+ */
+function applyEvPlan(plan) {
+	if (!plan || overrideActive('pauseAll')) return;
+	const { value, time, hours } = plan;
+	const id = evState(plan.loadpoint ?? 1, 'plan.energy');
+	if (RT.existsState(id)) RT.setState(id, JSON.stringify({ value, time, hours }), true);
+}
+
+/**
+ * Log heat pump slots and (optionally) schedule temp offsets in cheap hours.
+ */
+function applyHpPlan(plan) {
+	const pricesStr = getVal(ST.pricesJson, '[]');
+	let pricesArr = [];
+	try { pricesArr = JSON.parse(pricesStr) || []; } catch (e) { pricesArr = []; }
+
+	const hhPrice = i => {
 		if (i == null || !pricesArr[i]) return '';
-		const h = parseInt(localHour(pricesArr[i].start ?? Date.now()), 10);
+		const h = parseInt(localHour(pricesArr[i].start ?? RT.now()), 10);
 		const hhmm = (isNaN(h) ? '' : String(h).padStart(2, '0')) + ':00';
 		const priceCt = (pricesArr[i].price * 100).toFixed(1);
 		return `${hhmm} (${priceCt} ct/kWh)`; // legacy format for display
@@ -492,130 +2882,1519 @@ function applyHpPlan(plan) {
 	const dhwList = slotsFrom(plan?.dhwHours).map(fmt).join(', ');
 	const heatList = slotsFrom(plan?.heatHours).map(fmt).join(', ');
 
-	dlog(`🔥 Wärmepumpe Warmwasser (2h): ${dhwList || 'keine'}.`);
-	dlog(`🔥 Wärmepumpe Heizen (2h): ${heatList || 'keine'}.`);
-
-	if (SET_PLANS) {
-		// DHW: raise setpoint at slot start, revert after ~90 minutes
-		plan.dhwHours.forEach(idx => {
-			const slot = pricesArr[idx];
-			if (!slot) return;
-			const t = slot.start;
-			const cur = Number(getVal(ST.hpDhwSet, 0)) || 0;
-			schedule(new Date(t), () => setVal(ST.hpDhwSet, cur + 5));
-			schedule(new Date(t + 90 * 60 * 1000), () => setVal(ST.hpDhwSet, cur));
-		});
+	dlog(`🔥 Wärmepumpe Warmwasser (${(plan?.dhwHours || []).length * slotHours()}h): ${dhwList || 'keine'}.`);
+	dlog(`🔥 Wärmepumpe Heizen (${(plan?.heatHours || []).length * slotHours()}h): ${heatList || 'keine'}.`);
+
+	// DHW: raise setpoint by 5 K, heating: flow offset +3 K for each planned window
+	const windows = (slots, w) => mergeSlotWindows(pricesArr, slots).map(x => ({ ...w, from: x.start, until: x.end }));
+	const write = actuationEnabled();
+	planActuatorWindows('hp.dhw', write ? windows(plan?.dhwHours, { register: ST.hpDhwSet, offset: 5 }) : []);
+	planActuatorWindows('hp.heat', write ? windows(plan?.heatHours, { register: ST.hpFlowOffset, value: 3, restore: 0 }) : []);
+
+	// Low-price slots: heat storage in tank and building
+	const dhwK = Number(LOW_PRICE_MODE.dhwBoostK) || 0;
+	const heatK = Number(LOW_PRICE_MODE.heatOffsetK) || 0;
+	if (plan?.boostHours?.length) {
+		dlog(`⚡ Wärmepumpe Niedrigpreis (${plan.boostHours.length * slotHours()}h): Warmwasser +${dhwK} K, Heizen +${heatK} K.`);
+	}
+	planActuatorWindows('hp.boost', write ? [
+		...(dhwK > 0 ? windows(plan?.boostHours, { register: ST.hpDhwSet, offset: dhwK }) : []),
+		...(heatK > 0 ? windows(plan?.boostHours, { register: ST.hpFlowOffset, value: heatK, restore: 0 }) : [])
+	] : []);
+}
+
+/**
+ * Log the battery plan and (optionally) schedule the configured Plenticore
+ * control states: charge power during charge slots, raised MinSoC during hold slots.
+ */
+function applyBatteryPlan(plan, prices) {
+	const ctl = BATTERY_GRID_CHARGE.control || {};
+	const active = !!plan && actuationEnabled();
+
+	planActuatorWindows('battery.charge', (active && ctl.chargeState && RT.existsState(ctl.chargeState))
+		? mergeSlotWindows(prices, plan.chargeSlots.map(x => x.i)).map(w => ({
+			register: ctl.chargeState, from: w.start, until: w.end, value: ctl.chargeValue, restore: ctl.idleValue
+		}))
+		: []);
+
+	planActuatorWindows('battery.hold', (active && ctl.minSocState && RT.existsState(ctl.minSocState) && plan.holdSlots.length)
+		? [{
+			register: ctl.minSocState,
+			from: prices[plan.holdSlots[0]].start,
+			until: prices[plan.holdSlots[plan.holdSlots.length - 1]].end,
+			value: ctl.holdMinSoc,
+			restore: ctl.releaseMinSoc
+		}]
+		: []);
+}
+
+// ==== DEFERRABLE APPLIANCES ====
+/**
+ * Registry of shiftable consumers (config APPLIANCES):
+ *   [{ id, name, energyKWh | powerW | profileW, profileMin, durationH, continuous,
+ *      earliestStart, latestFinish, readyState, state, onValue, offValue }]
+ * The load is either a power profile (profileW: W per profileMin minutes),
+ * a constant power or an energy spread over durationH. Every appliance runs
+ * once per day in the window earliestStart … latestFinish (local 'HH:mm',
+ * default: the next 24 h). Continuous runs are placed as one block at the
+ * cheapest start, the others take the cheapest slots (average power).
+ * With `state` the run is switched through the actuator jobs (onValue during
+ * the run, offValue afterwards); without it the window is sent as a
+ * recommendation (NOTIFY). `readyState` = false skips the appliance.
+ * A started run is not moved; after a finished run the next window is tomorrow.
+ */
+const APPLIANCE_BASE = `${GRAFANA_BASE}.appliances`;
+let APPLIANCE_RUNS = {};        // id → { start, end, segs: [{ start, end, w }], energyKWh, costEur, doneDay }
+
+function restoreAppliances() {
+	ensureState(`${APPLIANCE_BASE}.runsJson`, { type: 'string', read: true, write: true, def: '{}' });
+	APPLIANCE_RUNS = getVal(`${APPLIANCE_BASE}.runsJson`, {}, { json: true }) || {};
+}
+
+function appliances() { return (APPLIANCES || []).filter(a => a.id); }
+
+/**
+ * Load profile as segments relative to the start [{ offset, dur, w }] (ms, W), or null.
+ */
+function applianceProfile(a) {
+	if (Array.isArray(a.profileW) && a.profileW.length) {
+		const dur = (Number(a.profileMin) || 15) * 60e3;
+		return a.profileW.map((w, k) => ({ offset: k * dur, dur, w: Math.max(0, Number(w) || 0) }));
+	}
+	const durH = Number(a.durationH);
+	if (!(durH > 0)) return null;
+	const w = a.powerW !== undefined ? Number(a.powerW) : Number(a.energyKWh) * 1000 / durH;
+	return w > 0 ? [{ offset: 0, dur: durH * 3600e3, w }] : null;
+}
+
+/**
+ * Local date of the last finished run of appliance `id` (or undefined).
+ */
+function applianceDoneDay(id, now = RT.now()) {
+	const run = APPLIANCE_RUNS[id];
+	if (!run) return undefined;
+	return run.end <= now ? localDateISO(run.end) : run.doneDay;
+}
+
+/**
+ * Next window { from, until } that fits `durMs`, or null.
+ */
+function applianceWindow(a, durMs, now = RT.now()) {
+	const today = localDateISO(now);
+	const done = applianceDoneDay(a.id, now) === today;
+	if (!a.earliestStart && !a.latestFinish && !done) return { from: now, until: now + 86400e3 };
+	for (let d = done ? 1 : 0; d <= 2; d++) {
+		const day = localDateISO(localTimeToTs(today, '12:00') + d * 86400e3);
+		const start = localTimeToTs(day, a.earliestStart || '00:00');
+		let until = a.latestFinish ? localTimeToTs(day, a.latestFinish) : start + 86400e3;
+		if (until <= start) until = localTimeToTs(localDateISO(localTimeToTs(day, '12:00') + 86400e3), a.latestFinish);
+		const from = Math.max(now, start);
+		if (until - from >= durMs) return { from, until };
+	}
+	return null;
+}
+
+/**
+ * Energy (Wh) of the segments [{ start, end, w }] per price slot: [{ i, wh }].
+ */
+function applianceSlotWh(prices, segs) {
+	return prices.map((p, i) => ({
+		i,
+		wh: segs.reduce((a, s) => a + s.w * Math.max(0, Math.min(p.end, s.end) - Math.max(p.start, s.start)) / 3600e3, 0)
+	})).filter(x => x.wh > 0);
+}
+
+/**
+ * Plan one appliance: cheapest feasible placement by slot score within the grid limit.
+ * Returns { id, name, start, end, segs, slotWh, energyKWh, costEur, running } or null.
+ */
+function buildAppliancePlan(a, prices, sim) {
+	const label = `🧺 ${a.name || a.id}`;
+	const now = RT.now();
+	const finish = (segs, running = false) => {
+		const slotWh = applianceSlotWh(prices, segs);
+		const energyWh = segs.reduce((x, s) => x + s.w * (s.end - s.start) / 3600e3, 0);
+		const costEur = slotWh.reduce((x, s) => x + s.wh / 1000 * prices[s.i].price, 0);
+		return {
+			id: a.id, name: a.name || a.id, start: segs[0].start, end: segs[segs.length - 1].end, segs, slotWh,
+			energyKWh: +(energyWh / 1000).toFixed(2), costEur: +costEur.toFixed(2), running
+		};
+	};
+
+	const run = APPLIANCE_RUNS[a.id];
+	if (run && run.start <= now && run.end > now) return { ...finish(run.segs, true), costEur: run.costEur };
+
+	if (a.readyState && RT.existsState(a.readyState)) {
+		const ready = getVal(a.readyState, true);
+		if (ready === false || ready === 'false' || ready === 0) {
+			dlog(`${label}: nicht bereit → kein Plan.`);
+			return null;
+		}
+	}
+	const profile = applianceProfile(a);
+	if (!profile) {
+		dlog(`⚠️ ${label}: weder profileW noch powerW/energyKWh mit durationH → übersprungen.`, 'warn');
+		return null;
+	}
+	const durMs = profile.reduce((x, s) => Math.max(x, s.offset + s.dur), 0);
+	const win = applianceWindow(a, durMs, now);
+	const horizonEnd = prices.length ? prices[prices.length - 1].end : now;
+	const until = win ? Math.min(win.until, horizonEnd) : 0;
+	if (!win || until - win.from < durMs) {
+		dlog(`⚠️ ${label}: kein passendes Zeitfenster im Preishorizont.`);
+		return null;
+	}
+	const score = segs => applianceSlotWh(prices, segs).reduce((x, s) => x + s.wh / 1000 * hourScore(prices[s.i], sim[s.i]), 0);
+
+	let best = null;
+	if (a.continuous !== false) {
+		const starts = [win.from, ...prices.map(p => p.start).filter(t => t > win.from && t + durMs <= until)];
+		for (const t of starts) {
+			const segs = profile.map(s => ({ start: t + s.offset, end: t + s.offset + s.dur, w: s.w }));
+			if (applianceSlotWh(prices, segs).some(x => !gridFits(prices, sim, x.i, x.wh))) continue;
+			const sc = score(segs);
+			if (!best || sc < best.score) best = { segs, score: sc };
+		}
+	} else {
+		const energyWh = profile.reduce((x, s) => x + s.w * s.dur / 3600e3, 0);
+		const need = Math.max(1, Math.ceil(durMs / slotMs()));
+		const w = energyWh / (need * slotHours());
+		const picked = prices
+			.map((p, i) => ({ p, i, score: hourScore(p, sim[i]) }))
+			.filter(x => x.p.start >= win.from && x.p.end <= until && gridFits(prices, sim, x.i, w * (x.p.end - x.p.start) / 3600e3))
+			.sort((x, y) => x.score - y.score)
+			.slice(0, need)
+			.sort((x, y) => x.p.start - y.p.start);
+		if (picked.length === need) {
+			best = { segs: mergeSlotWindows(prices, picked.map(x => x.i)).map(x => ({ start: x.start, end: x.end, w })) };
+		}
+	}
+	if (!best) {
+		dlog(`⚠️ ${label}: kein passendes Zeitfenster im Preishorizont.`);
+		return null;
+	}
+	if (PLAN_EXPLAIN) {
+		const chosen = new Set(applianceSlotWh(prices, best.segs).map(x => x.i));
+		prices.forEach((p, i) => explainSlot(i, `appliance.${a.id}`, chosen.has(i),
+			chosen.has(i) ? `günstigster Start ${fmtTimeHM(new Date(best.segs[0].start))}`
+				: (p.end <= win.from || p.start >= until ? 'außerhalb Zeitfenster' : 'teurerer Start'),
+			hourScore(p, sim[i])));
+	}
+	return finish(best.segs);
+}
+
+/**
+ * Log, persist and publish the appliance plans; switch `state` or send a recommendation.
+ */
+function applyAppliancePlans(plans) {
+	const blocks = segs => segs.filter((x, k) => k === 0 || x.start !== segs[k - 1].end).length;
+	const fmtRun = plan => `${fmtWindow(plan.start, plan.end)}${blocks(plan.segs) > 1 ? ` (${blocks(plan.segs)} Blöcke)` : ''}`;
+	const ids = new Set(appliances().map(a => a.id));
+	Object.keys(APPLIANCE_RUNS).filter(id => !ids.has(id)).forEach(id => delete APPLIANCE_RUNS[id]);
+	ACT.windows
+		.map(w => w.owner)
+		.filter(o => o.startsWith('appliance.') && !ids.has(o.slice('appliance.'.length)))
+		.forEach(o => planActuatorWindows(o, []));
+
+	for (const a of appliances()) {
+		const plan = plans.find(x => x.id === a.id) || null;
+		const base = `${APPLIANCE_BASE}.${a.id}`;
+		ensureState(`${base}.start`, { type: 'string', read: true, write: false, def: '' });
+		ensureState(`${base}.end`, { type: 'string', read: true, write: false, def: '' });
+		ensureState(`${base}.energyKWh`, { type: 'number', read: true, write: false, def: 0, unit: 'kWh' });
+		ensureState(`${base}.costEur`, { type: 'number', read: true, write: false, def: 0, unit: '€' });
+		ensureState(`${base}.planJson`, { type: 'string', read: true, write: false, def: '{}' });
+		setVal(`${base}.start`, plan ? formatDateDE(plan.start) : '');
+		setVal(`${base}.end`, plan ? formatDateDE(plan.end) : '');
+		setVal(`${base}.energyKWh`, plan ? plan.energyKWh : 0);
+		setVal(`${base}.costEur`, plan ? plan.costEur : 0);
+		setVal(`${base}.planJson`, JSON.stringify(plan ? { start: plan.start, end: plan.end, segs: plan.segs, energyKWh: plan.energyKWh, costEur: plan.costEur, running: plan.running } : {}));
+
+		if (plan) {
+			if (!plan.running) {
+				const { start, end, segs, energyKWh, costEur } = plan;
+				APPLIANCE_RUNS[a.id] = { start, end, segs, energyKWh, costEur, doneDay: applianceDoneDay(a.id) };
+			}
+			dlog(`🧺 ${plan.name}: ${plan.running ? 'läuft' : 'geplant'} ${fmtRun(plan)} – ${plan.energyKWh} kWh, ≈ ${plan.costEur.toFixed(2)} €${a.state ? '' : ' (Empfehlung)'}`);
+			if (!a.state && !plan.running) {
+				notify(`appliance:${a.id}:${plan.start}`, 'info', `🧺 ${plan.name}: günstigster Start ${fmtRun(plan)} (${plan.energyKWh} kWh, ≈ ${plan.costEur.toFixed(2)} €)`, plan.end);
+			}
+		}
+		planActuatorWindows(`appliance.${a.id}`, (plan && a.state && actuationEnabled())
+			? plan.segs.map(x => ({ register: a.state, from: x.start, until: x.end, value: a.onValue ?? true, restore: a.offValue ?? false }))
+			: []);
+	}
+	setVal(`${APPLIANCE_BASE}.runsJson`, JSON.stringify(APPLIANCE_RUNS));
+}
+
+restoreAppliances();
+
+// ==== EV MODE TIMELINE ====
+/**
+ * Switches the evcc charge mode per loadpoint: `chargeMode` (default 'now')
+ * at the start of each planned window, `idleMode` (default 'pv') afterwards.
+ * The timeline is persisted so a restart in the middle of a window either
+ * resumes it or reverts a window that ended while the script was down.
+ * A mode change that we did not write is treated as manual override and
+ * pauses the automation for that loadpoint for EV_MANUAL_PAUSE_H hours.
+ */
+const EV_TIMELINE_STATE = `${GRAFANA_BASE}.ev.timelineJson`;
+const EV_TIMELINE = {};         // lpId → { windows, active, lastWritten, lastWrittenTs, pausedUntil }
+const EV_MODE_JOBS = {};        // lpId → [schedule handles]
+
+function evModeStateId(lp) { return lp.modeState || evState(lp, 'mode'); }
+function evModes(lp) { return { charge: lp.chargeMode || 'now', idle: lp.idleMode || 'pv' }; }
+function evTimeline(lp) {
+	if (!EV_TIMELINE[lp.id]) EV_TIMELINE[lp.id] = { windows: [], active: null, lastWritten: null, lastWrittenTs: 0, pausedUntil: 0 };
+	return EV_TIMELINE[lp.id];
+}
+
+function restoreEvTimeline() {
+	ensureState(EV_TIMELINE_STATE, { type: 'string', read: true, write: true, def: '{}' });
+	Object.assign(EV_TIMELINE, getVal(EV_TIMELINE_STATE, {}, { json: true }) || {});
+}
+
+function persistEvTimeline() { setVal(EV_TIMELINE_STATE, JSON.stringify(EV_TIMELINE)); }
+
+/**
+ * Merge planned slot indices into contiguous windows [{ start, end }].
+ */
+function mergeSlotWindows(prices, slots) {
+	const wins = [];
+	(slots || []).map(i => prices[i]).filter(Boolean).sort((a, b) => a.start - b.start).forEach(p => {
+		const last = wins[wins.length - 1];
+		if (last && last.end === p.start) last.end = p.end;
+		else wins.push({ start: p.start, end: p.end });
+	});
+	return wins;
+}
+
+/**
+ * Write an evcc mode as command (ack=false) and remember it for override detection.
+ */
+function writeEvMode(lp, mode, reason) {
+	const tl = evTimeline(lp);
+	if (tl.pausedUntil > RT.now()) {
+		dlog(`✋ EV ${lp.name || lp.id}: Automatik pausiert → Modus '${mode}' (${reason}) übersprungen.`);
+		return;
+	}
+	const id = evModeStateId(lp);
+	if (!actuationEnabled()) {
+		dlog(`🚗 EV ${lp.name || lp.id}: Modus '${mode}' (${reason}) – nur Simulation (${SET_PLANS ? 'Automatik pausiert' : 'SET_PLANS=false'}).`);
+		return;
+	}
+	try {
+		tl.lastWritten = mode;
+		tl.lastWrittenTs = RT.now();
+		persistEvTimeline();
+		if (RT.existsState(id)) RT.setState(id, mode, false);
+		dlog(`🚗 EV ${lp.name || lp.id}: Modus → '${mode}' (${reason}).`);
+	} catch (e) {
+		RT.log(`⚠️ writeEvMode failed for ${id}: ${e}`, 'warn');
+	}
+}
+
+function startEvWindow(lp, win) {
+	const tl = evTimeline(lp);
+	tl.active = { start: win.start, end: win.end };
+	writeEvMode(lp, evModes(lp).charge, `Fenster bis ${fmtTimeHM(new Date(win.end))}`);
+}
+
+function endEvWindow(lp) {
+	const tl = evTimeline(lp);
+	if (!tl.active) return;
+	tl.active = null;
+	writeEvMode(lp, evModes(lp).idle, 'Fensterende');
+}
+
+/**
+ * Replace the mode schedule of a loadpoint with the windows of its new plan.
+ * An active window that no longer overlaps the plan is reverted immediately.
+ */
+function applyEvModeTimeline(lp, plan, prices) {
+	const tl = evTimeline(lp);
+	const now = RT.now();
+	(EV_MODE_JOBS[lp.id] || []).forEach(j => RT.clearSchedule(j));
+	EV_MODE_JOBS[lp.id] = [];
+
+	tl.windows = mergeSlotWindows(prices, plan?.slots).filter(w => w.end > now);
+	if (overrideActive('evChargeNow')) {
+		const o = OVERRIDES.evChargeNow;
+		tl.windows = [{ start: o.since, end: o.until }, ...tl.windows.filter(w => w.start >= o.until)];
+	}
+	// A running window stays active while the new plan still overlaps it, so a
+	// replan in the middle of a window does not revert the mode in between.
+	const bridged = tl.active && tl.windows.find(w => w.start > now && w.start < tl.active.end);
+	if (bridged && !tl.windows.some(w => w.start <= now && now < w.end)) bridged.start = now;
+	const current = tl.windows.find(w => w.start <= now && now < w.end);
+
+	if (tl.active && !current) endEvWindow(lp);
+	if (current && !tl.active) startEvWindow(lp, current);
+	if (current && tl.active) tl.active.end = current.end;
+
+	for (const w of tl.windows) {
+		if (w.start > now) EV_MODE_JOBS[lp.id].push(RT.schedule(new Date(w.start), () => startEvWindow(lp, w)));
+		EV_MODE_JOBS[lp.id].push(RT.schedule(new Date(w.end), () => endEvWindow(lp)));
+	}
+	if (tl.windows.length) {
+		dlog(`🚗 EV ${lp.name || lp.id}: Modus-Zeitplan ${tl.windows.map(w => `${fmtTimeHM(new Date(w.start))}–${fmtTimeHM(new Date(w.end))}`).join(', ')}`);
+	}
+	persistEvTimeline();
+}
+
+/**
+ * Mode state changed: anything other than our last write is a manual override.
+ */
+function onEvModeChange(lp, state) {
+	const tl = evTimeline(lp);
+	const val = state?.val;
+	if (!tl.lastWritten || val === undefined || val === null || String(val) === String(tl.lastWritten)) return;
+	tl.pausedUntil = RT.now() + EV_MANUAL_PAUSE_H * 3600e3;
+	tl.active = null;
+	persistEvTimeline();
+	dlog(`✋ EV ${lp.name || lp.id}: Modus manuell auf '${val}' geändert → Automatik pausiert bis ${formatDateDE(tl.pausedUntil)}.`, 'warn');
+	flushDetailStates();
+}
+
+/**
+ * Startup cleanup: revert windows that ended while the script was down and
+ * re-arm the end of a window that is still running.
+ */
+function cleanupEvModesOnStart() {
+	const now = RT.now();
+	for (const lp of evLoadpoints()) {
+		const tl = evTimeline(lp);
+		if (!tl.active) continue;
+		if (tl.active.end <= now) {
+			dlog(`🔁 EV ${lp.name || lp.id}: Fenster während Neustart beendet → Rücksetzen.`);
+			endEvWindow(lp);
+		} else {
+			EV_MODE_JOBS[lp.id] = [RT.schedule(new Date(tl.active.end), () => endEvWindow(lp))];
+		}
+	}
+	persistEvTimeline();
+}
+
+restoreEvTimeline();
+cleanupEvModesOnStart();
+
+// ==== SURPLUS CONTROLLER ====
+/**
+ * Event-driven PV surplus controller between the hourly runs (config SURPLUS_CONTROL):
+ *   { enabled, smoothingS, minSocForLoads, batteryReserveW, maxImportW,
+ *     loads: [{ type: 'ev', loadpoint, startW, stopW, powerW, minOnS, minOffS, onMode }
+ *           | { type: 'dhw', boostK, startW, stopW, powerW, minOnS, minOffS }] }
+ * Surplus = Pv_P − (Home_P − power of our running surplus loads), smoothed
+ * exponentially. Loads are served in list order; each starts above startW
+ * and stops below stopW, respecting minimum on/off times. Below
+ * minSocForLoads the battery keeps batteryReserveW. Grid import above
+ * maxImportW counts as deficit. The DHW boost is an actuator window, so its
+ * on state and switch time are rebuilt from the journal after a restart.
+ */
+const SURPLUS = { emaW: null, lastTs: 0, loads: {} }; // loads: key → { on, since }
+
+function surplusLoadKey(ld, idx) { return `${ld.type}${ld.loadpoint ?? ''}#${idx}`; }
+
+/**
+ * Align the controller with the actuator journal (startup, config reload): a
+ * DHW boost window that is still journaled belongs to the configured DHW load
+ * again, with its start as switch time; without an enabled DHW load it ends.
+ */
+function syncSurplusState() {
+	const cfg = SURPLUS_CONTROL || {};
+	const idx = cfg.enabled ? (cfg.loads || []).findIndex(ld => ld.type === 'dhw') : -1;
+	const win = ACT.windows.find(w => w.owner === 'surplus.dhw');
+	const key = idx >= 0 ? surplusLoadKey(cfg.loads[idx], idx) : null;
+	Object.keys(SURPLUS.loads).filter(k => k.startsWith('dhw') && k !== key).forEach(k => delete SURPLUS.loads[k]);
+	if (!win) {
+		if (key && SURPLUS.loads[key]?.on) SURPLUS.loads[key] = { on: false, since: RT.now() };
+		return;
+	}
+	if (!key) {
+		dlog('☀️ Überschuss-Regler aus → Warmwasser-Boost beendet.');
+		planActuatorWindows('surplus.dhw', []);
+		return;
+	}
+	SURPLUS.loads[key] = { on: true, since: win.from };
+}
+
+/**
+ * Switch one surplus load on/off.
+ */
+function switchSurplusLoad(ld, on, availW) {
+	const kw = (availW / 1000).toFixed(1);
+	if (ld.type === 'ev') {
+		const lp = evLoadpoints().find(x => String(x.id) === String(ld.loadpoint ?? 1));
+		if (!lp) return false;
+		const modes = evModes(lp);
+		writeEvMode(lp, on ? (ld.onMode || modes.charge) : modes.idle, `PV-Überschuss ${kw} kW`);
+	} else if (ld.type === 'dhw') {
+		planActuatorWindows('surplus.dhw', (on && actuationEnabled())
+			? [{ register: ST.hpDhwSet, from: RT.now(), until: null, offset: Number(ld.boostK) || 5 }]
+			: []);
+	} else {
+		return false;
+	}
+	dlog(`☀️ Überschuss ${kw} kW → ${ld.type.toUpperCase()}${ld.loadpoint ? ` ${ld.loadpoint}` : ''} ${on ? 'an' : 'aus'}${actuationEnabled() ? '' : ' (Simulation)'}`);
+	return true;
+}
+
+/**
+ * True if the hourly plan currently owns the loadpoint (planned window, manual pause, unplugged).
+ */
+function evBusyForSurplus(loadpoint) {
+	const lp = evLoadpoints().find(x => String(x.id) === String(loadpoint ?? 1));
+	if (!lp) return true;
+	const tl = evTimeline(lp);
+	const connected = RT.existsState(evState(lp, 'connected')) ? getVal(evState(lp, 'connected'), false) : true;
+	return !!tl.active || tl.pausedUntil > RT.now() || connected === false || connected === 'false';
+}
+
+/**
+ * Update the smoothed surplus and start/stop loads.
+ */
+function evaluateSurplus(ts = RT.now()) {
+	const cfg = SURPLUS_CONTROL || {};
+	if (!cfg.enabled) return;
+	const loads = cfg.loads || [];
+
+	const pv = readOptionalNum(ST.pvPower);
+	const home = readOptionalNum(ST.houseLoad);
+	const gridImport = readOptionalNum(ST.gridPower);
+	const soc = readOptionalNum(ST.bydSoc);
+	if (isNaN(pv) || isNaN(home)) return;
+
+	const ownW = loads.reduce((a, ld, idx) => a + (SURPLUS.loads[surplusLoadKey(ld, idx)]?.on ? (Number(ld.powerW) || 0) : 0), 0);
+	let rawW = pv - (home - ownW);
+	if (!isNaN(gridImport) && cfg.maxImportW !== undefined && gridImport > cfg.maxImportW) rawW = Math.min(rawW, ownW - gridImport);
+	if (!isNaN(soc) && soc < (cfg.minSocForLoads ?? BYD_SOC_MIN_DAY)) rawW -= Number(cfg.batteryReserveW) || 0;
+
+	const tau = (Number(cfg.smoothingS) || 120) * 1000;
+	const dt = SURPLUS.lastTs ? Math.max(0, ts - SURPLUS.lastTs) : tau;
+	const alpha = 1 - Math.exp(-dt / tau);
+	SURPLUS.emaW = (SURPLUS.emaW === null) ? rawW : SURPLUS.emaW + alpha * (rawW - SURPLUS.emaW);
+	SURPLUS.lastTs = ts;
+
+	let availW = SURPLUS.emaW;
+	let changed = false;
+	loads.forEach((ld, idx) => {
+		const key = surplusLoadKey(ld, idx);
+		const st = SURPLUS.loads[key] || (SURPLUS.loads[key] = { on: false, since: 0 });
+		const startW = Number(ld.startW ?? (ld.type === 'ev' ? EV_MIN_SURPLUS_W : 1500));
+		const stopW = Number(ld.stopW ?? startW * 0.5);
+		const onFor = (ts - st.since) / 1000;
+
+		if (ld.type === 'ev' && evBusyForSurplus(ld.loadpoint)) {
+			if (st.on) { st.on = false; st.since = ts; } // plan/user took over
+			return;
+		}
+
+		if (!st.on && availW >= startW && onFor >= Number(ld.minOffS ?? 300)) {
+			if (switchSurplusLoad(ld, true, availW)) { st.on = true; st.since = ts; changed = true; }
+		} else if (st.on && availW < stopW && onFor >= Number(ld.minOnS ?? 600)) {
+			if (switchSurplusLoad(ld, false, availW)) { st.on = false; st.since = ts; changed = true; }
+		}
+		if (st.on) availW -= Number(ld.powerW) || 0;
+	});
+	if (changed) flushDetailStates();
+}
+
+syncSurplusState();
+
+// ==== ACCOUNTING ====
+/**
+ * Actual cost and savings (config ACCOUNTING: { exportState, historyDays }).
+ * HomeGrid_P (> 0 import; < 0 export unless exportState is set), Pv_P, Home_P
+ * and the EV/HP power states of LOAD_FORECAST are integrated per price slot,
+ * with the battery SoC at its start. A closed slot is priced with its
+ * effective price and feed-in tariff.
+ * Reference "no optimisation": the same day replayed with the measured EV and
+ * HP energy at their baseline times (see kpiReferenceEur); savings =
+ * reference net cost − actual net cost. Shifted = EV/HP energy in slots below
+ * the day's mean price. Self-sufficiency = 1 − import / consumption
+ * (import + PV − export). Current day/month go to kpi.day.* / kpi.month.*,
+ * finished days to kpi.historyJson; the open day survives restarts.
+ */
+const KPI_BASE = `${GRAFANA_BASE}.kpi`;
+const KPI_ENERGY = ['importWh', 'exportWh', 'pvWh', 'homeWh', 'evWh', 'hpWh'];
+const KPI_FIELDS = {
+	importKWh: 'kWh', exportKWh: 'kWh', pvKWh: 'kWh', evKWh: 'kWh', hpKWh: 'kWh',
+	costEur: '€', feedInEur: '€', netCostEur: '€', referenceEur: '€', savingsEur: '€',
+	avgPriceCt: 'ct/kWh', shiftedKWh: 'kWh', selfSufficiencyPct: '%'
+};
+const KPI = {
+	prices: {},     // slot start → { end, price, feedIn } (pricesJson only holds future slots)
+	pricesRaw: null,
+	day: null,      // { date, slots: [{ start, price, feedIn, importWh, … }] }
+	slot: null,     // open slot { start, end, price, feedIn, socPct, …Wh, lastTs, lastW }
+	history: {}     // date → daily sums
+};
+
+/**
+ * Restore the open day, the open slot and the price cache from the persisted state.
+ */
+function restoreAccounting() {
+	ensureState(`${KPI_BASE}.stateJson`, { type: 'string', read: true, write: true, def: '{}' });
+	ensureState(`${KPI_BASE}.historyJson`, { type: 'string', read: true, write: true, def: '{}' });
+	for (const scope of ['day', 'month']) {
+		for (const [f, unit] of Object.entries(KPI_FIELDS)) {
+			ensureState(`${KPI_BASE}.${scope}.${f}`, { type: 'number', read: true, write: false, def: 0, unit });
+		}
+	}
+	const js = getVal(`${KPI_BASE}.stateJson`, {}, { json: true }) || {};
+	KPI.prices = js.prices || {};
+	KPI.pricesRaw = null;
+	KPI.day = js.day || null;
+	KPI.slot = js.slot || null;
+	if (KPI.slot) KPI.slot.lastTs = null; // no integration across the restart gap
+	KPI.history = getVal(`${KPI_BASE}.historyJson`, {}, { json: true }) || {};
+}
+
+function persistAccounting() {
+	setVal(`${KPI_BASE}.stateJson`, JSON.stringify({ prices: KPI.prices, day: KPI.day, slot: KPI.slot }));
+}
+
+/**
+ * Price slot containing `ts` (merged from pricesJson); empty slot without price if unknown.
+ */
+function kpiPriceSlot(ts) {
+	const raw = getVal(ST.pricesJson, '[]');
+	if (raw !== KPI.pricesRaw) {
+		KPI.pricesRaw = raw;
+		let items = [];
+		try { items = JSON.parse(raw); } catch (e) { /* keep cache */ }
+		(Array.isArray(items) ? items : []).forEach(p => { KPI.prices[p.start] = { end: p.end, price: p.price, feedIn: p.feedIn }; });
+		const keepFrom = RT.now() - 2 * 86400e3;
+		Object.keys(KPI.prices).filter(k => KPI.prices[k].end < keepFrom).forEach(k => delete KPI.prices[k]);
+	}
+	for (const [start, p] of Object.entries(KPI.prices)) {
+		if (Number(start) <= ts && ts < p.end) return { start: Number(start), end: p.end, price: p.price ?? null, feedIn: p.feedIn ?? null };
+	}
+	const t0 = Math.floor(ts / slotMs()) * slotMs();
+	return { start: t0, end: t0 + slotMs(), price: null, feedIn: null };
+}
+
+function newKpiSlot(ts) {
+	const soc = readOptionalNum(ST.bydSoc);
+	const slot = { ...kpiPriceSlot(ts), socPct: isNaN(soc) ? null : soc, lastTs: null, lastW: null };
+	KPI_ENERGY.forEach(k => { slot[k] = 0; });
+	return slot;
+}
+
+/**
+ * Net cost of one day without optimisation: the measured EV energy charged at
+ * full power from BACKTEST.ev.arrive and the HP energy run from
+ * BACKTEST.hpFrom (the backtest's "immediate" strategy), the remaining house
+ * load and PV as measured, the battery for self-consumption only (no grid
+ * charging, starting at the measured SoC). Only priced slots count.
+ */
+function kpiReferenceEur(slots) {
+	const priced = slots.filter(s => s.price !== null && s.price !== undefined);
+	if (!priced.length) return 0;
+	const prices = priced.map(s => ({ start: s.start, end: s.end ?? s.start + slotMs(), price: s.price, feedIn: s.feedIn || 0 }));
+	const sum = k => priced.reduce((a, s) => a + (s[k] || 0), 0);
+	// slot order from a local time on, wrapping around to the start of the day
+	const from = hhmm => {
+		const m = parseHHMM(hhmm);
+		const idx = prices.map((p, i) => i);
+		return [...idx.filter(i => localMinuteOfDay(prices[i].start) >= m), ...idx.filter(i => localMinuteOfDay(prices[i].start) < m)];
+	};
+	const evWh = fillEvSlots(prices, from(BACKTEST.ev.arrive), sum('evWh'), evPowerKW(evLoadpoints()[0]) * 1000);
+	const hpWh = fillEvSlots(prices, from(BACKTEST.hpFrom), sum('hpWh'), hpPowerKW() * 1000);
+	const houseWh = priced.map(s => Math.max(0, (s.homeWh ?? (s.importWh + s.pvWh - s.exportWh)) - (s.evWh || 0) - (s.hpWh || 0)));
+	const socStart = priced[0].soc ?? BACKTEST.socStart;
+	return settleSlots(prices, priced.map(s => s.pvWh || 0), houseWh, evWh.map((x, i) => x + hpWh[i]), socStart).costEur;
+}
+
+/**
+ * Sum slots of one day: energy, cost, feed-in revenue, reference cost, shifted energy.
+ * Slots without a known price count for energy only.
+ */
+function kpiSums(slots) {
+	const priced = slots.filter(s => s.price !== null && s.price !== undefined);
+	const mean = priced.length ? priced.reduce((a, s) => a + s.price, 0) / priced.length : 0;
+	const sums = { importWh: 0, exportWh: 0, pvWh: 0, homeWh: 0, evWh: 0, hpWh: 0, pricedImportWh: 0, costEur: 0, feedInEur: 0, referenceEur: kpiReferenceEur(slots), shiftedWh: 0 };
+	for (const s of slots) {
+		KPI_ENERGY.forEach(k => { sums[k] += s[k] || 0; });
+		if (s.price === null || s.price === undefined) continue;
+		sums.pricedImportWh += s.importWh;
+		sums.costEur += s.importWh / 1000 * s.price;
+		sums.feedInEur += s.exportWh / 1000 * (s.feedIn || 0);
+		if (s.price < mean) sums.shiftedWh += s.evWh + s.hpWh;
+	}
+	return sums;
+}
+
+function addKpiSums(a, b) {
+	const out = { ...a };
+	Object.keys(b).forEach(k => { out[k] = (out[k] || 0) + b[k]; });
+	return out;
+}
+
+/**
+ * Daily/monthly sums → KPI_FIELDS values.
+ */
+function kpiValues(sums) {
+	const r2 = x => Math.round(x * 100) / 100;
+	const consumptionWh = sums.importWh + sums.pvWh - sums.exportWh;
+	return {
+		importKWh: r2(sums.importWh / 1000),
+		exportKWh: r2(sums.exportWh / 1000),
+		pvKWh: r2(sums.pvWh / 1000),
+		evKWh: r2(sums.evWh / 1000),
+		hpKWh: r2(sums.hpWh / 1000),
+		costEur: r2(sums.costEur),
+		feedInEur: r2(sums.feedInEur),
+		netCostEur: r2(sums.costEur - sums.feedInEur),
+		referenceEur: r2(sums.referenceEur),
+		savingsEur: r2(sums.referenceEur - (sums.costEur - sums.feedInEur)),
+		avgPriceCt: sums.pricedImportWh > 0 ? r2(sums.costEur / sums.pricedImportWh * 100000) : 0,
+		shiftedKWh: r2(sums.shiftedWh / 1000),
+		selfSufficiencyPct: consumptionWh > 0 ? r2(Math.min(100, Math.max(0, 100 * (1 - sums.importWh / consumptionWh)))) : 0
+	};
+}
+
+/**
+ * Write the KPIs of the current day and month.
+ */
+function storeKpis() {
+	const daySums = kpiSums(KPI.day ? KPI.day.slots : []);
+	const month = (KPI.day ? KPI.day.date : localDateISO(RT.now())).slice(0, 7);
+	const monthSums = Object.entries(KPI.history)
+		.filter(([date]) => date.startsWith(month))
+		.reduce((a, [, s]) => addKpiSums(a, s), daySums);
+	for (const [scope, sums] of [['day', daySums], ['month', monthSums]]) {
+		Object.entries(kpiValues(sums)).forEach(([f, v]) => setVal(`${KPI_BASE}.${scope}.${f}`, v));
+	}
+}
+
+/**
+ * Book the open slot into its day; a new date moves the previous day into the history.
+ */
+function closeKpiSlot(s) {
+	if (s.price === null) { const p = kpiPriceSlot(s.start); s.price = p.price; s.feedIn = p.feedIn; }
+	const date = localDateISO(s.start);
+	if (KPI.day && KPI.day.date !== date) {
+		const sums = kpiSums(KPI.day.slots);
+		KPI.history[KPI.day.date] = Object.fromEntries(Object.entries(sums).map(([k, v]) => [k, Math.round(v * 1000) / 1000]));
+		const v = kpiValues(sums);
+		dlog(`📒 Abrechnung ${KPI.day.date}: ${v.costEur.toFixed(2)} € Bezug (Ø ${v.avgPriceCt.toFixed(1)} ct/kWh), ${v.feedInEur.toFixed(2)} € Einspeisung, Ersparnis ${v.savingsEur.toFixed(2)} €, Autarkie ${v.selfSufficiencyPct.toFixed(0)} %`);
+		const keepFrom = localDateISO(RT.now() - (Number(ACCOUNTING.historyDays) || 400) * 86400e3);
+		Object.keys(KPI.history).filter(d => d < keepFrom).forEach(d => delete KPI.history[d]);
+		setVal(`${KPI_BASE}.historyJson`, JSON.stringify(KPI.history));
+		KPI.day = null;
+	}
+	if (!KPI.day) KPI.day = { date, slots: [] };
+	const entry = { start: s.start, end: s.end, price: s.price, feedIn: s.feedIn, soc: s.socPct ?? null };
+	KPI_ENERGY.forEach(k => { entry[k] = Math.round(s[k] * 10) / 10; });
+	KPI.day.slots.push(entry);
+	storeKpis();
+}
+
+/**
+ * Integrate the current power values (W) into the open price slot.
+ */
+function sampleAccounting(ts) {
+	const gridW = readOptionalNum(ST.gridPower);
+	if (isNaN(gridW)) return;
+	const num = id => { const v = readOptionalNum(id); return isNaN(v) ? 0 : Math.max(0, v); };
+	const powerW = {
+		importWh: Math.max(0, gridW),
+		exportWh: ACCOUNTING.exportState ? num(ACCOUNTING.exportState) : Math.max(0, -gridW),
+		pvWh: num(ST.pvPower),
+		homeWh: num(ST.houseLoad),
+		evWh: num(LOAD_FORECAST.evPowerState),
+		hpWh: num(LOAD_FORECAST.hpPowerState)
+	};
+
+	const s = KPI.slot;
+	KPI.slot = integrateEnergy(s, ts, powerW, { end: x => x.end, open: newKpiSlot, close: closeKpiSlot });
+	if (KPI.slot !== s) persistAccounting();
+}
+
+restoreAccounting();
+RT.onStop(persistAccounting); // keep the open slot across script restarts
+
+// ==== SUMMARY ====
+/**
+ * Build a compact summary text for dashboards.
+ */
+function buildSummaryText(prices, forecast, evPlans, cheapNightDetailed, batteryPlan = null, appliancePlans = []) {
+	const pvKWh = (pvWithinWh(prices, forecast) / 1000).toFixed(2);
+	const dayEnd = RT.now() + 24 * 3600e3;
+	const loadKWh = (prices.reduce((a, p) => a + (p.start < dayEnd ? expectedHouseLoadWh(p) : 0), 0) / 1000).toFixed(1);
+	const minP = (Math.min(...prices.map(p => p.price)) * 100).toFixed(1);
+	const maxP = (Math.max(...prices.map(p => p.price)) * 100).toFixed(1);
+	const minS = (Math.min(...prices.map(p => p.spot ?? p.price)) * 100).toFixed(1);
+	const maxS = (Math.max(...prices.map(p => p.spot ?? p.price)) * 100).toFixed(1);
+	const cheapN = cheapNightDetailed.length;
+
+	const evStr = evPlans.length
+		? evPlans.map(plan => `EV ${plan.name}: ${plan.value} kWh bis ${new Date(plan.time).toLocaleTimeString('de-DE', { timeZone: TZ, hour: '2-digit', minute: '2-digit' })}`).join(' • ')
+		: 'EV: keine Nachtladung';
+
+	const cheapStr = cheapN
+		? `Nacht (billig): ${cheapNightDetailed.map(x =>
+			`${fmtTimeHM(new Date(x.start))} ${(x.price * 100).toFixed(1)} ct`
+		).join(', ')}`
+		: 'Nacht (billig): keine';
+
+	const batStr = batteryPlan
+		? `Akku: Netzladung ${(batteryPlan.chargeSlots.reduce((a, x) => a + x.wh, 0) / 1000).toFixed(1)} kWh (≈ ${batteryPlan.savingsEur.toFixed(2)} €)`
+		: 'Akku: keine Netzladung';
+
+	const lowWins = mergeSlotWindows(prices, lowPriceSlots(prices));
+	const lowStr = lowWins.length ? ` • Niedrigpreis: ${lowWins.map(w => fmtWindow(w.start, w.end)).join(', ')}` : '';
+
+	const appStr = appliancePlans.length
+		? ` • Geräte: ${appliancePlans.map(x => `${x.name} ${fmtTimeHM(new Date(x.start))}${localDateISO(x.start) === localDateISO(RT.now()) ? '' : ' (morgen)'}`).join(', ')}`
+		: '';
+
+	const ovr = overridesText();
+	const health = healthText();
+	return `PV: ${pvKWh} kWh • Last: ${loadKWh} kWh • Preis: ${minP}–${maxP} ct/kWh (Spot ${minS}–${maxS}) • ${evStr} • ${batStr} • ${cheapStr}${lowStr}${appStr}${ovr ? ` • Override: ${ovr}` : ''}${health ? ` • Daten: ${health}` : ''}`;
+}
+
+// ==== NOTIFICATIONS ====
+/**
+ * Messages via ioBroker messaging adapters (config NOTIFY):
+ *   { channels: [{ type, instance, minSeverity, to }], digestTime, lowCtKWh, highCtKWh, staleMin, dedupH }
+ * type telegram | pushover | email | signal; `to` is the optional recipient
+ * (Telegram user, Pushover device, e-mail address, Signal phone number).
+ * Every message has a key; a key is not sent again until its hold time has
+ * passed (dedupH, price windows until their end). Sent keys are persisted
+ * in notify.sentJson, so restarts and the hourly run do not repeat messages.
+ */
+const NOTIFY_BASE = `${GRAFANA_BASE}.notify`;
+const NOTIFY_SEVERITIES = ['info', 'warn', 'error'];
+const NOTIFY_ICONS = { info: 'ℹ️', warn: '⚠️', error: '❌' };
+let NOTIFY_SENT = {};           // key → { ts, until }
+
+function restoreNotify() {
+	ensureState(`${NOTIFY_BASE}.sentJson`, { type: 'string', read: true, write: true, def: '{}' });
+	ensureState(`${NOTIFY_BASE}.lastText`, { type: 'string', read: true, write: false, def: '' });
+	NOTIFY_SENT = getVal(`${NOTIFY_BASE}.sentJson`, {}, { json: true }) || {};
+}
+
+/**
+ * sendTo payload of the adapter type.
+ */
+function notifyPayload(ch, severity, title, text) {
+	const to = ch.to || undefined;
+	switch (ch.type) {
+		case 'pushover': return { message: text, title, priority: severity === 'error' ? 1 : 0, device: to };
+		case 'email':    return { subject: title, text, to };
+		case 'signal':   return { text: `${title}\n${text}`, phone: to };
+		default:         return { text: `${title}\n${text}`, user: to };
+	}
+}
+
+/**
+ * Send `text` to all channels whose minSeverity admits `severity`. Skipped
+ * while `key` is on hold; `until` (ms) overrides the hold end (default now + dedupH).
+ * Returns true if the message went out.
+ */
+function notify(key, severity, text, until = null) {
+	const now = RT.now();
+	const channels = (NOTIFY.channels || []).filter(ch => ch.instance &&
+		NOTIFY_SEVERITIES.indexOf(severity) >= NOTIFY_SEVERITIES.indexOf(ch.minSeverity || 'info'));
+	if (!channels.length || (NOTIFY_SENT[key] && NOTIFY_SENT[key].until > now)) return false;
+
+	const title = `${NOTIFY_ICONS[severity]} Energy-Distribution Planner`;
+	channels.forEach(ch => {
+		try {
+			RT.sendTo(ch.instance, 'send', notifyPayload(ch, severity, title, text));
+		} catch (e) {
+			RT.log(`notify: sendTo ${ch.instance} failed: ${e}`, 'warn');
+		}
+	});
+	NOTIFY_SENT[key] = { ts: now, until: until ?? now + (Number(NOTIFY.dedupH) || 0) * 3600e3 };
+	Object.keys(NOTIFY_SENT).filter(k => NOTIFY_SENT[k].until < now - 86400e3).forEach(k => delete NOTIFY_SENT[k]);
+	setVal(`${NOTIFY_BASE}.sentJson`, JSON.stringify(NOTIFY_SENT));
+	setVal(`${NOTIFY_BASE}.lastText`, `${fmtTimeHM(new Date(now))} ${NOTIFY_ICONS[severity]} ${text.split('\n')[0]}`);
+	dlog(`📨 Benachrichtigung (${severity}) an ${channels.map(ch => ch.instance).join(', ')}: ${text.split('\n')[0]}`);
+	return true;
+}
+
+/**
+ * Report that the condition behind `key` is gone (only if it was reported).
+ */
+function notifyResolved(key, text) {
+	if (!NOTIFY_SENT[key]) return;
+	delete NOTIFY_SENT[key];
+	if (!notify(`${key}.ok`, 'info', text, RT.now())) setVal(`${NOTIFY_BASE}.sentJson`, JSON.stringify(NOTIFY_SENT));
+}
+
+function fmtWindow(start, end) {
+	const day = ts => new Date(ts).toLocaleDateString('de-DE', { timeZone: TZ, weekday: 'short', day: '2-digit', month: '2-digit' });
+	const endDay = localDateISO(end - 1) === localDateISO(start) ? '' : `${day(end - 1)} `;
+	return `${day(start)} ${fmtTimeHM(new Date(start))}–${endDay}${fmtTimeHM(new Date(end))}`;
+}
+
+/**
+ * Consecutive slots matching `test` as windows [{ start, end, slots }].
+ */
+function priceWindows(prices, test) {
+	const out = [];
+	for (const p of prices) {
+		if (!test(p)) continue;
+		const last = out[out.length - 1];
+		if (last && last.end === p.start) { last.end = p.end; last.slots.push(p); } else out.push({ start: p.start, end: p.end, slots: [p] });
+	}
+	return out;
+}
+
+/**
+ * Alerts for windows with spot price below lowCtKWh or effective price above highCtKWh.
+ */
+function notifyPriceWindows(prices) {
+	const low = Number(NOTIFY.lowCtKWh) / 100;
+	const high = Number(NOTIFY.highCtKWh) / 100;
+	priceWindows(prices, p => (p.spot ?? p.price) < low).forEach(w => {
+		const min = Math.min(...w.slots.map(p => p.spot ?? p.price));
+		notify(`price.low:${w.start}`, 'info',
+			`💸 ${min < 0 ? 'Negative' : 'Sehr niedrige'} Preise ${fmtWindow(w.start, w.end)}: Spot bis ${(min * 100).toFixed(1)} ct/kWh`, w.end);
+	});
+	priceWindows(prices, p => p.price > high).forEach(w => {
+		const max = Math.max(...w.slots.map(p => p.price));
+		notify(`price.high:${w.start}`, 'warn',
+			`📈 Hohe Preise ${fmtWindow(w.start, w.end)}: bis ${(max * 100).toFixed(1)} ct/kWh`, w.end);
+	});
+}
 
-		// Space heating: increase flow offset by +3°C during slot, revert after 2h
-		plan.heatHours.forEach(idx => {
-			const slot = pricesArr[idx];
-			if (!slot) return;
-			const t = slot.start;
-			schedule(new Date(t), () => setVal(ST.hpFlowOffset, +3));
-			schedule(new Date(t + 2 * 60 * 60 * 1000), () => setVal(ST.hpFlowOffset, 0));
-		});
+/**
+ * Warnings for measurement states not updated for staleMin and for missing
+ * day-ahead prices after digestTime.
+ */
+function notifyStaleData(prices) {
+	const now = RT.now();
+	const maxAge = (Number(NOTIFY.staleMin) || 30) * 60e3;
+	[ST.pvPower, ST.gridPower, ST.bydSoc].forEach(id => {
+		const st = RT.existsState(id) ? RT.getState(id) : null;
+		if (!st || !st.ts) return;
+		if (now - st.ts > maxAge) {
+			notify(`stale:${id}`, 'warn', `🕸️ Keine aktuellen Daten von ${id} seit ${Math.round((now - st.ts) / 60e3)} min.`);
+		} else {
+			notifyResolved(`stale:${id}`, `✅ ${id} liefert wieder Daten.`);
+		}
+	});
+	const today = localDateISO(now);
+	const tomorrow = localDateISO(localTimeToTs(today, '12:00') + 86400e3);
+	if (now >= localTimeToTs(today, NOTIFY.digestTime || '14:00') && !prices.some(p => localDateISO(p.start) === tomorrow)) {
+		notify(`stale:prices:${tomorrow}`, 'warn', `🕸️ Noch keine Preise für ${tomorrow} (Quelle: ${PRICE_SOURCE.type}).`);
 	}
 }
 
-// ==== SUMMARY ====
 /**
- * Build a compact summary text for dashboards.
- * Note: EV summary prints "(UTC)" suffix historically; verify if desired.
+ * Daily plan digest, once per day with the first run after digestTime
+ * that has tomorrow's prices.
  */
-function buildSummaryText(prices, forecast, evPlan, cheapNightDetailed) {
-	const pvKWh = (forecast.reduce((a, b) => a + (b || 0), 0) / 1000).toFixed(2);
-	const minP = (Math.min(...prices.map(p => p.price)) * 100).toFixed(1);
-	const maxP = (Math.max(...prices.map(p => p.price)) * 100).toFixed(1);
-	const cheapN = cheapNightDetailed.length;
+function notifyDigest(prices, summary) {
+	const now = RT.now();
+	const today = localDateISO(now);
+	const tomorrow = localDateISO(localTimeToTs(today, '12:00') + 86400e3);
+	const next = prices.filter(p => localDateISO(p.start) === tomorrow);
+	if (now < localTimeToTs(today, NOTIFY.digestTime || '14:00') || !next.length) return;
+	const cheapest = next.reduce((a, p) => (p.price < a.price ? p : a));
+	const avg = next.reduce((a, p) => a + p.price, 0) / next.length;
+	const lines = [
+		`📅 Tagesplan (Preise bis ${new Date(prices[prices.length - 1].end).toLocaleString('de-DE', { timeZone: TZ, weekday: 'short', hour: '2-digit', minute: '2-digit' })})`,
+		`Morgen: Ø ${(avg * 100).toFixed(1)} ct/kWh, günstigster Slot ${fmtTimeHM(new Date(cheapest.start))} (${(cheapest.price * 100).toFixed(1)} ct/kWh)`,
+		...summary.split(' • ')
+	];
+	notify(`digest:${today}`, 'info', lines.join('\n'), localTimeToTs(tomorrow, '00:00'));
+}
 
-	const evStr = evPlan
-		? `EV: ${evPlan.value} kWh bis ${new Date(evPlan.time).toLocaleTimeString('de-DE', { timeZone: TZ, hour: '2-digit', minute: '2-digit' })} (UTC)`
-		: 'EV: keine Nachtladung';
+/**
+ * All notifications of a successful planning run.
+ */
+function notifyAfterPlan(prices, summary) {
+	notifyResolved('planError', '✅ Planung läuft wieder.');
+	notifyDigest(prices, summary);
+	notifyPriceWindows(prices);
+	notifyStaleData(prices);
+}
 
-	const cheapStr = cheapN
-		? `Nacht (billig): ${cheapNightDetailed.map(x =>
-			`${formatDateDE(x.start).slice(11, 16)} ${(x.price * 100).toFixed(1)} ct`
-		).join(', ')}`
-		: 'Nacht (billig): keine';
+restoreNotify();
 
-	return `PV: ${pvKWh} kWh • Preis: ${minP}–${maxP} ct/kWh • ${evStr} • ${cheapStr}`;
+// ==== STORE (Long-Format + hourly series) ====
+/**
+ * Merge slot rows into hourly rows for the hourXX states: prices
+ * time-weighted, energies summed, SoC at the end of the hour.
+ */
+function hourlyRows(rows) {
+	const out = [];
+	const sumKeys = ['forecast_wh', 'load_wh', 'battery_grid_wh', 'ev_wh', 'grid_import_wh', 'feedin_wh'];
+	for (const r of rows) {
+		const dur = r.endUnix - r.startUnix;
+		const last = out[out.length - 1];
+		if (!last || Math.floor(last.startUnix / 3600e3) !== Math.floor(r.startUnix / 3600e3)) {
+			out.push({ ...r, dur });
+			continue;
+		}
+		const avg = k => (last[k] * last.dur + r[k] * dur) / (last.dur + dur);
+		Object.assign(last, {
+			price_eur_kwh: avg('price_eur_kwh'),
+			price_ct_kwh: +avg('price_ct_kwh').toFixed(2),
+			spot_ct_kwh: +avg('spot_ct_kwh').toFixed(2),
+			feedin_ct_kwh: +avg('feedin_ct_kwh').toFixed(2),
+			soc_pct: r.soc_pct, end: r.end, endUnix: r.endUnix, dur: last.dur + dur
+		});
+		sumKeys.forEach(k => { last[k] += r[k]; });
+		last.forecast_kwh = +(last.forecast_wh / 1000).toFixed(3);
+		last.isCheapNight = last.isNight && last.price_eur_kwh < CHEAP_CUTOFF_EURKWH;
+	}
+	return out;
 }
 
-// ==== STORE (Long-Format + hourly series) ====
 /**
- * Persist a long table (for Grafana JSON) and per-hour series.
+ * Persist a long table per slot (for Grafana JSON) and per-hour series.
  */
-function storeGrafanaData(prices, forecast, pvSumKWh, cheapNightCount, evPlan, hpPlan, bydSoc, pvNow, gridNow, houseLoad) {
+function storeGrafanaData(prices, forecast, pvSumKWh, cheapNightCount, evPlans, hpPlan, bydSoc, pvNow, gridNow, houseLoad, sim = [], batteryPlan = null, appliancePlans = [], loadPlan = []) {
+	const batWh = new Array(prices.length).fill(0);
+	(batteryPlan?.chargeSlots || []).forEach(x => { batWh[x.i] += x.wh; });
+	(batteryPlan?.dischargeSlots || []).forEach(x => { batWh[x.i] -= x.wh; });
+	const evWh = plannedLoadWh(prices, evPlans, null);
+
 	const rows = prices.map((p, i) => {
 		const h = parseInt(localHour(p.start), 10);
 		const startStr = formatDateDE(p.start);
 		const endStr = formatDateDE(p.end);
 		const cheap = isNight(h) && (p.price < CHEAP_CUTOFF_EURKWH);
-		const fWh = forecast[i] || 0;
+		const fWh = Math.round(forecast[i] || 0);
 		return {
-			index: i, hourLocal: h, startUnix: p.start, endUnix: p.end,
+			index: i, hourLocal: h, timeLocal: fmtTimeHM(new Date(p.start)), startUnix: p.start, endUnix: p.end,
 			start: startStr, end: endStr, price_eur_kwh: p.price,
 			price_ct_kwh: +(p.price * 100).toFixed(2),
+			spot_ct_kwh: +((p.spot ?? p.price) * 100).toFixed(2),
+			feedin_ct_kwh: +((p.feedIn ?? 0) * 100).toFixed(2),
 			forecast_wh: fWh, forecast_kwh: +(fWh / 1000).toFixed(3),
-			isNight: isNight(h), isCheapNight: cheap
+			isNight: isNight(h), isCheapNight: cheap,
+			soc_pct: +(sim[i]?.socPct ?? 0).toFixed(1),
+			load_wh: Math.round(expectedHouseLoadWh(p)),
+			battery_grid_wh: batWh[i],
+			ev_wh: Math.round(evWh[i]),
+			grid_import_wh: Math.round(sim[i]?.importWh || 0),
+			feedin_wh: Math.round(sim[i]?.feedInWh || 0)
 		};
 	});
 
 	const tableLong = [];
-	const pad = n => String(n).padStart(2, '0');
 	for (const r of rows) {
-		tableLong.push({ Zeit: r.start, Feld: 'Preis (ct/kWh)', Wert: r.price_ct_kwh, Stunde: `${pad(r.hourLocal)}:00:00` });
-		tableLong.push({ Zeit: r.start, Feld: 'Forecast (kWh)', Wert: r.forecast_kwh, Stunde: `${pad(r.hourLocal)}:00:00` });
-		tableLong.push({ Zeit: r.start, Feld: 'Günstige Nacht', Wert: r.isCheapNight ? 'Ja' : 'Nein', Stunde: `${pad(r.hourLocal)}:00:00` });
+		tableLong.push({ Zeit: r.start, Feld: 'Preis (ct/kWh)', Wert: r.price_ct_kwh, Stunde: `${r.timeLocal}:00` });
+		tableLong.push({ Zeit: r.start, Feld: 'Spot (ct/kWh)', Wert: r.spot_ct_kwh, Stunde: `${r.timeLocal}:00` });
+		tableLong.push({ Zeit: r.start, Feld: 'Forecast (kWh)', Wert: r.forecast_kwh, Stunde: `${r.timeLocal}:00` });
+		tableLong.push({ Zeit: r.start, Feld: 'Günstige Nacht', Wert: r.isCheapNight ? 'Ja' : 'Nein', Stunde: `${r.timeLocal}:00` });
+		tableLong.push({ Zeit: r.start, Feld: 'SoC (%)', Wert: r.soc_pct, Stunde: `${r.timeLocal}:00` });
 	}
 
 	const dailyData = {
-		timestamp: new Date().toISOString(),
+		timestamp: new Date(RT.now()).toISOString(),
 		timezone: TZ,
+		slotMinutes: SLOT_MINUTES,
 		cheapNightCutoff_EURkWh: CHEAP_CUTOFF_EURKWH,
 		cheapNightCount,
 		forecastKWhTotal: +pvSumKWh.toFixed(2),
-		evPlan: evPlan || {},
+		evPlan: evPlans[0] || {},
+		evPlans,
 		hpPlan: hpPlan || {},
+		batteryPlan: batteryPlan || {},
+		appliancePlans: appliancePlans.map(({ slotWh, ...plan }) => plan),
+		socTrajectory: rows.map(r => r.soc_pct),
 		bydSoc, pvPowerNow_W: pvNow, gridPowerNow_W: gridNow, houseLoadNow_W: houseLoad
 	};
 
 	setVal(GRAFANA_BASE, JSON.stringify(dailyData));
 	setVal(`${GRAFANA_BASE}.tableJsonLong`, JSON.stringify(tableLong));
+	setVal(`${GRAFANA_BASE}.batteryPlanJson`, JSON.stringify(batteryPlan || {}));
+	setVal(LOAD_PLAN_STATE, JSON.stringify(loadPlan));
 
+	const hours = hourlyRows(rows);
 	for (let i = 0; i < 24; i++) {
 		const HH = String(i).padStart(2, '0');
-		const r = rows[i] || { price_eur_kwh: 0, price_ct_kwh: 0, forecast_wh: 0, forecast_kwh: 0, start: '', end: '', isCheapNight: false };
+		const r = hours[i] || { price_eur_kwh: 0, price_ct_kwh: 0, spot_ct_kwh: 0, feedin_ct_kwh: 0, forecast_wh: 0, forecast_kwh: 0, start: '', end: '', isCheapNight: false, soc_pct: 0, load_wh: 0, battery_grid_wh: 0, ev_wh: 0, grid_import_wh: 0, feedin_wh: 0 };
 
 		setVal(`${GRAFANA_BASE}.prices.hour${HH}`, r.price_eur_kwh);
 		setVal(`${GRAFANA_BASE}.prices_ct.hour${HH}`, r.price_ct_kwh);
+		setVal(`${GRAFANA_BASE}.spot_ct.hour${HH}`, r.spot_ct_kwh);
 		setVal(`${GRAFANA_BASE}.forecastWh.hour${HH}`, r.forecast_wh);
+		setVal(`${GRAFANA_BASE}.soc.hour${HH}`, r.soc_pct);
+		setVal(`${GRAFANA_BASE}.loadWh.hour${HH}`, r.load_wh);
+		setVal(`${GRAFANA_BASE}.gridImportWh.hour${HH}`, r.grid_import_wh);
+		setVal(`${GRAFANA_BASE}.feedInWh.hour${HH}`, r.feedin_wh);
 
 		setVal(`${GRAFANA_BASE}.table.hour${HH}.start`, r.start);
 		setVal(`${GRAFANA_BASE}.table.hour${HH}.end`, r.end);
 		setVal(`${GRAFANA_BASE}.table.hour${HH}.price_ct`, r.price_ct_kwh);
+		setVal(`${GRAFANA_BASE}.table.hour${HH}.spot_ct`, r.spot_ct_kwh);
+		setVal(`${GRAFANA_BASE}.table.hour${HH}.feedin_ct`, r.feedin_ct_kwh);
 		setVal(`${GRAFANA_BASE}.table.hour${HH}.forecast_kwh`, r.forecast_kwh);
 		setVal(`${GRAFANA_BASE}.table.hour${HH}.cheap`, r.isCheapNight);
+		setVal(`${GRAFANA_BASE}.table.hour${HH}.soc`, r.soc_pct);
+		setVal(`${GRAFANA_BASE}.table.hour${HH}.battery_wh`, r.battery_grid_wh);
+		setVal(`${GRAFANA_BASE}.table.hour${HH}.ev_wh`, r.ev_wh);
 	}
 
 	// No extra "long" logger here – keep the compact legacy log clean
 }
 
+// ==== PLAN HISTORY ====
+/**
+ * Versioned plan records (config PLAN_HISTORY): { enabled, dir, maxRuns }
+ * Every planning run is written to <dir>/plan-<version>.json (relative to
+ * rootDir, empty dir = states only); runs beyond maxRuns are deleted:
+ *   { version, ts, inputsHash, inputs, decisions, costEur, solver, diff, slots, log }
+ * inputs.hashes fingerprints prices, forecast, SoCs, overrides and config;
+ * decisions are the chosen windows per load; slots explain per load why a
+ * slot was chosen or rejected (score = hourScore() in ct); log holds the
+ * run's detail lines. diff compares the decisions with the previous run and
+ * names the inputs that changed. The latest run is also in history.*.
+ */
+const HISTORY_BASE = `${GRAFANA_BASE}.history`;
+const HISTORY_FILE = /^plan-\d+\.json$/;
+let PLAN_EXPLAIN = null;        // slot index → [{ load, chosen, reason, scoreCt }] while the final plan is built
+let PLAN_LAST = null;           // { version, ts, inputs, decisions, series } of the previous run
+
+function restorePlanHistory() {
+	ensureState(`${HISTORY_BASE}.version`, { type: 'number', read: true, write: false, def: 0 });
+	ensureState(`${HISTORY_BASE}.inputsHash`, { type: 'string', read: true, write: false, def: '' });
+	ensureState(`${HISTORY_BASE}.diffText`, { type: 'string', read: true, write: false, def: '' });
+	ensureState(`${HISTORY_BASE}.explainJson`, { type: 'string', read: true, write: false, def: '[]' });
+	ensureState(`${HISTORY_BASE}.lastJson`, { type: 'string', read: true, write: true, def: '{}' });
+	const last = getVal(`${HISTORY_BASE}.lastJson`, {}, { json: true }) || {};
+	PLAN_LAST = last.version ? last : latestPlanRecord();
+}
+
+/**
+ * Newest record on disk (continues the version count if the states were lost).
+ */
+function latestPlanRecord() {
+	const dir = PLAN_HISTORY.dir ? resolvePath(PLAN_HISTORY.dir) : null;
+	if (!dir || !fs.existsSync(dir)) return null;
+	try {
+		const file = fs.readdirSync(dir).filter(f => HISTORY_FILE.test(f)).sort().pop();
+		if (!file) return null;
+		const { version, ts, inputs, decisions, slots } = JSON.parse(fs.readFileSync(`${dir}/${file}`, 'utf8'));
+		return { version, ts, inputs, decisions, series: planSeries(slots) };
+	} catch (e) {
+		RT.log(`⚠️ Planhistorie: ${dir} nicht lesbar: ${e.message}`, 'warn');
+		return null;
+	}
+}
+
+/**
+ * Record why slot i was chosen or rejected for `load` (only while allocateLoads() builds the final plan).
+ */
+function explainSlot(i, load, chosen, reason, score = null) {
+	if (!PLAN_EXPLAIN) return;
+	(PLAN_EXPLAIN[i] || (PLAN_EXPLAIN[i] = [])).push({ load, chosen, reason, ...(score === null ? {} : { scoreCt: +(score * 100).toFixed(2) }) });
+}
+
+function planHash(x) { return crypto.createHash('sha1').update(JSON.stringify(x)).digest('hex').slice(0, 12); }
+
+/**
+ * Planning inputs with one hash per group; `hash` covers all of them.
+ */
+function planInputs(prices, forecast) {
+	const socPct = Math.round(Number(getVal(ST.bydSoc, 0)) || 0);
+	const evSoc = evLoadpoints().map(lp => readOptionalNum(evState(lp, 'vehicleSoc')));
+	const hashes = {
+		prices: planHash(prices.map(p => [p.start, +p.price.toFixed(5)])),
+		forecast: planHash(forecast.map(wh => Math.round(wh))),
+		state: planHash([socPct, evSoc.map(v => (isNaN(v) ? null : Math.round(v)))]),
+		overrides: planHash(OVERRIDES),
+		config: planHash(CONFIG_STATUS.cfg || {})
+	};
+	return {
+		hash: planHash(hashes), hashes, priceSource: PRICE_SOURCE.type, socPct,
+		from: new Date(prices[0].start).toISOString(), until: new Date(prices[prices.length - 1].end).toISOString(),
+		overrides: overridesText(),
+		health: Object.fromEntries(Object.entries(HEALTH).map(([src, h]) => [src, h.status]))
+	};
+}
+
+/**
+ * Chosen windows per load: key → { label, windows: [[startISO, endISO]], kWh }.
+ */
+function planDecisions(prices, { evPlans, hpPlan, appliancePlans, batteryPlan }) {
+	const iso = ms => new Date(ms).toISOString();
+	const wins = slots => mergeSlotWindows(prices, slots).map(w => [iso(w.start), iso(w.end)]);
+	const out = {};
+	evPlans.forEach(p => { out[`ev.${p.loadpoint}`] = { label: `EV ${p.name}`, windows: wins(p.slots), kWh: p.value }; });
+	if (hpPlan) out.hp = { label: 'WP', windows: wins([...hpPlan.dhwHours, ...hpPlan.heatHours]), kWh: +(hpPlan.dhwKWh + hpPlan.heatKWh).toFixed(2) };
+	appliancePlans.forEach(a => {
+		const segs = a.segs.reduce((acc, x) => {
+			const last = acc[acc.length - 1];
+			if (last && last.end === x.start) last.end = x.end; else acc.push({ start: x.start, end: x.end });
+			return acc;
+		}, []);
+		out[`appliance.${a.id}`] = { label: a.name, windows: segs.map(x => [iso(x.start), iso(x.end)]), kWh: a.energyKWh };
+	});
+	if (batteryPlan) {
+		out.battery = {
+			label: 'Akku-Netzladung', windows: wins(batteryPlan.chargeSlots.map(x => x.i)),
+			kWh: +(batteryPlan.chargeSlots.reduce((a, x) => a + x.wh, 0) / 1000).toFixed(2)
+		};
+	}
+	return out;
+}
+
+/**
+ * Per-slot explanation: price, PV, grid and the decisions of every load.
+ */
+function explainSlots(prices, forecast, { explain, batteryPlan, loadPlan }) {
+	const bat = batteryPlan || {};
+	const find = (list, i) => (list || []).find(x => x.i === i);
+	return prices.map((p, i) => {
+		const decisions = [...(explain?.[i] || [])];
+		const charge = find(bat.chargeSlots, i);
+		const discharge = find(bat.dischargeSlots, i);
+		if (charge) decisions.push({ load: 'battery', chosen: true, reason: `Netzladung ${(charge.wh / 1000).toFixed(1)} kWh für teurere Slots` });
+		else if (discharge) decisions.push({ load: 'battery', chosen: true, reason: `Entladung ${(discharge.wh / 1000).toFixed(1)} kWh statt Netzbezug` });
+		else if ((bat.holdSlots || []).includes(i)) decisions.push({ load: 'battery', chosen: true, reason: 'Akku halten für spätere Entladung' });
+		return {
+			start: new Date(p.start).toISOString(), end: new Date(p.end).toISOString(),
+			priceCt: +(p.price * 100).toFixed(2), spotCt: +((p.spot ?? p.price) * 100).toFixed(2),
+			pvWh: Math.round(forecast[i] || 0), gridW: loadPlan?.[i]?.gridW ?? null, decisions
+		};
+	});
+}
+
+/**
+ * Compact [startMs, priceCt, pvWh] series for the input comparison of the next run.
+ */
+function planSeries(slots) { return (slots || []).map(x => [Date.parse(x.start), x.priceCt, x.pvWh]); }
+
+/**
+ * Inputs that changed since the previous run, as text.
+ */
+function inputChanges(prev, cur) {
+	const before = new Map((prev.series || []).map(([t, ct, wh]) => [t, { ct, wh }]));
+	const both = cur.series.filter(([t]) => before.has(t));
+	const causes = [];
+	const prevEnd = Math.max(0, ...(prev.series || []).map(([t]) => t));
+	if (cur.series.some(([t]) => t > prevEnd)) causes.push('neue Preise');
+	if (both.some(([t, ct]) => Math.abs(ct - before.get(t).ct) >= 0.01)) causes.push('Preise aktualisiert');
+	const pvDiff = both.reduce((a, [t, , wh]) => a + Math.abs(wh - before.get(t).wh), 0);
+	const pvSum = both.reduce((a, [, , wh]) => a + wh, 0);
+	if (pvDiff > Math.max(100, 0.05 * pvSum)) causes.push('PV-Prognose geändert');
+	const hashes = prev.inputs?.hashes || {};
+	if (hashes.state !== cur.inputs.hashes.state) causes.push(`SoC ${prev.inputs?.socPct ?? '?'} → ${cur.inputs.socPct} %`);
+	if (hashes.overrides !== cur.inputs.hashes.overrides) causes.push('Overrides geändert');
+	if (hashes.config !== cur.inputs.hashes.config) causes.push('Konfiguration geändert');
+	return causes.length ? causes : ['Zeit fortgeschritten'];
+}
+
+/**
+ * Changed windows against the previous run, e.g. "EV Auto: 02:00–06:00 → 01:00–05:00 (Preise aktualisiert)".
+ * Windows of the previous run are cut to the current time first.
+ */
+function planDiff(prev, cur) {
+	if (!prev?.decisions) return [];
+	const from = Date.parse(cur.ts);
+	const today = localDateISO(from);
+	const day = ms => (localDateISO(ms) === today ? '' : `${new Date(ms).toLocaleDateString('de-DE', { timeZone: TZ, weekday: 'short' })} `);
+	const text = wins => wins
+		.map(([a, b]) => [Math.max(Date.parse(a), from), Date.parse(b)])
+		.filter(([a, b]) => b > a)
+		.map(([a, b]) => `${day(a)}${fmtTimeHM(new Date(a))}–${fmtTimeHM(new Date(b))}`)
+		.join(', ');
+	const changes = [];
+	for (const key of new Set([...Object.keys(prev.decisions), ...Object.keys(cur.decisions)])) {
+		const a = text(prev.decisions[key]?.windows || []);
+		const b = text(cur.decisions[key]?.windows || []);
+		if (a !== b) changes.push(`${(cur.decisions[key] || prev.decisions[key]).label}: ${a || 'kein Plan'} → ${b || 'kein Plan'}`);
+	}
+	if (!changes.length) return [];
+	const why = inputChanges(prev, cur).join(', ');
+	return changes.map(c => `${c} (${why})`);
+}
+
+/**
+ * Write the record and delete the oldest beyond maxRuns.
+ */
+function writePlanRecord(record) {
+	if (!PLAN_HISTORY.dir) return;
+	const dir = resolvePath(PLAN_HISTORY.dir);
+	try {
+		fs.mkdirSync(dir, { recursive: true });
+		fs.writeFileSync(`${dir}/plan-${String(record.version).padStart(6, '0')}.json`, JSON.stringify(record));
+		const files = fs.readdirSync(dir).filter(f => HISTORY_FILE.test(f)).sort();
+		files.slice(0, Math.max(0, files.length - (Number(PLAN_HISTORY.maxRuns) || 1))).forEach(f => fs.unlinkSync(`${dir}/${f}`));
+	} catch (e) {
+		RT.log(`⚠️ Planhistorie: ${dir} nicht beschreibbar: ${e.message}`, 'warn');
+	}
+}
+
+/**
+ * Store the run as the next plan version, log and publish the diff.
+ * Returns the record or null if the history is disabled.
+ */
+function recordPlanHistory(prices, forecast, res) {
+	const log = PLAN_LOG || [];
+	PLAN_LOG = null;
+	if (!PLAN_HISTORY.enabled || !prices.length) return null;
+	const slots = explainSlots(prices, forecast, res);
+	const inputs = planInputs(prices, forecast);
+	const cur = {
+		version: (PLAN_LAST?.version || 0) + 1, ts: new Date(RT.now()).toISOString(),
+		inputs, decisions: planDecisions(prices, res), series: planSeries(slots)
+	};
+	const diff = planDiff(PLAN_LAST, cur);
+	const costEur = res.sim.reduce((a, s, i) => a + (s.importWh * prices[i].price - s.feedInWh * (prices[i].feedIn ?? 0)) / 1000, 0);
+	const { series, ...head } = cur;
+	const record = { ...head, inputsHash: inputs.hash, costEur: +costEur.toFixed(2), solver: res.solver, diff, slots, log };
+	if (diff.length) dlog(`🔀 Plan v${cur.version} geändert: ${diff.join('; ')}`);
+
+	writePlanRecord(record);
+	PLAN_LAST = cur;
+	setVal(`${HISTORY_BASE}.lastJson`, JSON.stringify(cur));
+	setVal(`${HISTORY_BASE}.version`, cur.version);
+	setVal(`${HISTORY_BASE}.inputsHash`, inputs.hash);
+	setVal(`${HISTORY_BASE}.diffText`, diff.join('\n'));
+	setVal(`${HISTORY_BASE}.explainJson`, JSON.stringify(slots));
+	return record;
+}
+
+restorePlanHistory();
+
+// ==== HTTP API ====
+/**
+ * Embedded HTTP server (config HTTP_API: { enabled, port, bind, token }):
+ *   GET  /plan               latest plan: windows per load, loadPlan, summary, diff
+ *   GET  /prices             price slots with PV forecast
+ *   GET  /explain            per-slot explanations of the latest plan
+ *   GET  /overrides          control switches with expiry
+ *   POST /overrides/<key>    { "value": … } switches an override like control.<key>
+ *   GET  /metrics            Prometheus exposition format
+ * With a token every request needs "Authorization: Bearer <token>" or ?token=.
+ * Without a token POST is refused unless the server is bound to localhost.
+ * Times are ISO strings; the server follows config reloads.
+ */
+const API_BODY_MAX = 16 * 1024; // bytes of a POST body
+let API_SERVER = null;          // { server, key } of the running server
+let LAST_PLAN = null;           // result of the latest successful plan24h() with its time
+
+function stopHttpApi() {
+	if (!API_SERVER) return;
+	API_SERVER.server.close();
+	API_SERVER = null;
+}
+
+/**
+ * (Re)start the server if HTTP_API changed; stop it when disabled.
+ */
+function startHttpApi() {
+	const cfg = HTTP_API || {};
+	const key = JSON.stringify(cfg);
+	if (API_SERVER && API_SERVER.key === key) return;
+	stopHttpApi();
+	if (!cfg.enabled) return;
+	const server = http.createServer((req, res) => {
+		handleApiRequest(req, res).catch(e => {
+			if (res.headersSent) res.end();
+			else sendJson(res, 500, { error: String(e.message || e) });
+		});
+	});
+	server.on('error', e => RT.log(`⚠️ HTTP-API: Port ${cfg.port} nicht verfügbar: ${e.message}`, 'warn'));
+	server.listen(cfg.port, cfg.bind || '127.0.0.1', () => dlog(`🌐 HTTP-API auf ${cfg.bind || '127.0.0.1'}:${cfg.port}${cfg.token ? ' (mit Token)' : ''}.`));
+	if (!cfg.token && !apiLoopback()) RT.log(`⚠️ HTTP-API auf ${cfg.bind} ohne Token: Overrides (POST) sind gesperrt.`, 'warn');
+	API_SERVER = { server, key };
+}
+
+function sendJson(res, status, body) {
+	res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+	res.end(JSON.stringify(body));
+}
+
+function apiAuthorized(req, url) {
+	const token = String(HTTP_API.token || '');
+	if (!token) return true;
+	const given = String((req.headers.authorization || '').replace(/^Bearer\s+/i, '') || url.searchParams.get('token') || '');
+	const digest = x => crypto.createHash('sha256').update(x).digest();
+	return crypto.timingSafeEqual(digest(given), digest(token));
+}
+
+/**
+ * Without a token the API is only writable when bound to the loopback interface.
+ */
+function apiLoopback() {
+	return ['127.0.0.1', '::1', 'localhost'].includes(String(HTTP_API.bind || '127.0.0.1'));
+}
+
+/**
+ * Read a request body of at most API_BODY_MAX bytes; a larger body drops the connection.
+ */
+function readBody(req) {
+	return new Promise((resolve, reject) => {
+		const decoder = new StringDecoder('utf8');
+		let body = '';
+		let bytes = 0;
+		req.on('data', chunk => {
+			if (bytes > API_BODY_MAX) return;
+			bytes += chunk.length;
+			if (bytes > API_BODY_MAX) {
+				reject(Object.assign(new Error('body too large'), { status: 413 }));
+				req.destroy();
+				return;
+			}
+			body += decoder.write(chunk);
+		});
+		req.on('end', () => resolve(body + decoder.end()));
+		req.on('error', reject);
+	});
+}
+
+async function handleApiRequest(req, res) {
+	const url = new URL(req.url, 'http://localhost');
+	if (!apiAuthorized(req, url)) return sendJson(res, 401, { error: 'unauthorized' });
+	const route = url.pathname.replace(/\/+$/, '') || '/';
+	const override = /^\/overrides\/(\w+)$/.exec(route);
+
+	if (req.method === 'POST' && override) {
+		const key = override[1];
+		if (!OVERRIDE_KEYS[key]) return sendJson(res, 404, { error: `unknown override '${key}'`, keys: Object.keys(OVERRIDE_KEYS) });
+		if (!HTTP_API.token && !apiLoopback()) return sendJson(res, 403, { error: 'overrides need a token when not bound to localhost' });
+		let body;
+		try { body = JSON.parse((await readBody(req)) || '{}'); } catch (e) { return sendJson(res, e.status || 400, { error: `invalid body: ${e.message}` }); }
+		const value = body && typeof body === 'object' && 'value' in body ? body.value : body;
+		onOverrideChange(key, { val: value, ack: false });
+		const state = apiOverrides()[key];
+		const on = OVERRIDE_KEYS[key].type === 'boolean' ? (value === true || value === 'true') : !!String(value ?? '').trim();
+		if (on && !state.active) return sendJson(res, 400, { error: `invalid value for ${key}`, key, ...state });
+		return sendJson(res, 200, { key, ...state });
+	}
+	if (req.method !== 'GET') return sendJson(res, 405, { error: 'method not allowed' });
+
+	switch (route) {
+		case '/metrics':
+			res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+			return res.end(metricsText());
+		case '/overrides':
+			return sendJson(res, 200, apiOverrides());
+		case '/plan':
+		case '/prices':
+		case '/explain':
+			if (!LAST_PLAN) return sendJson(res, 503, { error: 'no plan yet' });
+			return sendJson(res, 200, route === '/plan' ? apiPlan() : route === '/prices' ? apiPrices() : apiExplain());
+		default:
+			return sendJson(res, 404, { error: 'not found', routes: ['/plan', '/prices', '/explain', '/overrides', '/overrides/<key>', '/metrics'] });
+	}
+}
+
+function apiOverrides() {
+	return Object.fromEntries(Object.entries(OVERRIDE_KEYS).map(([key, c]) => [key, {
+		label: c.label, value: getVal(`${CONTROL_BASE}.${key}`, c.def), active: overrideActive(key),
+		until: overrideActive(key) ? new Date(OVERRIDES[key].until).toISOString() : null
+	}]));
+}
+
+function apiPlan() {
+	const { ts, prices, history, summary, evPlans, hpPlan, batteryPlan, appliancePlans, loadPlan } = LAST_PLAN;
+	return {
+		ts: new Date(ts).toISOString(), version: history?.version ?? null, inputsHash: history?.inputsHash ?? null,
+		summary, overrides: overridesText(), diff: history?.diff || [],
+		decisions: planDecisions(prices, LAST_PLAN), evPlans, hpPlan, batteryPlan, appliancePlans, loadPlan
+	};
+}
+
+function apiPrices() {
+	const { ts, prices, forecast } = LAST_PLAN;
+	return {
+		ts: new Date(ts).toISOString(), source: PRICE_SOURCE.type, status: HEALTH.prices?.status ?? null, unit: '€/kWh',
+		slots: prices.map((p, i) => ({
+			start: new Date(p.start).toISOString(), end: new Date(p.end).toISOString(),
+			price: p.price, spot: p.spot, feedIn: p.feedIn, pvWh: Math.round(forecast[i] || 0)
+		}))
+	};
+}
+
+function apiExplain() {
+	const { ts, prices, forecast, history } = LAST_PLAN;
+	return { ts: new Date(ts).toISOString(), version: history?.version ?? null, slots: history?.slots || explainSlots(prices, forecast, LAST_PLAN) };
+}
+
+/**
+ * Prometheus metrics (all gauges). Per-slot series carry slot="0…n" (0 = first
+ * planned slot); edp_slot_start_timestamp_seconds maps them to time.
+ */
+function metricsText() {
+	const lines = [];
+	const esc = v => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+	const metric = (name, help, samples) => {
+		const valid = samples.filter(([, v]) => typeof v === 'number' && isFinite(v));
+		if (!valid.length) return;
+		lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+		valid.forEach(([labels, v]) => {
+			const l = Object.entries(labels).map(([k, x]) => `${k}="${esc(x)}"`).join(',');
+			lines.push(`${name}${l ? `{${l}}` : ''} ${+v.toFixed(6)}`);
+		});
+	};
+
+	metric('edp_battery_soc_percent', 'Battery state of charge', [[{}, readOptionalNum(ST.bydSoc)]]);
+	metric('edp_pv_power_watts', 'Current PV power', [[{}, readOptionalNum(ST.pvPower)]]);
+	metric('edp_grid_power_watts', 'Current grid power (+ import)', [[{}, readOptionalNum(ST.gridPower)]]);
+	metric('edp_house_power_watts', 'Current house consumption', [[{}, readOptionalNum(ST.houseLoad)]]);
+
+	if (LAST_PLAN) {
+		const { ts, prices, forecast, sim, loadPlan, history } = LAST_PLAN;
+		const per = fn => prices.map((p, i) => [{ slot: i }, fn(p, i)]);
+		metric('edp_plan_timestamp_seconds', 'Time of the latest plan', [[{}, ts / 1000]]);
+		metric('edp_plan_version', 'Version of the latest plan', [[{}, history?.version]]);
+		metric('edp_plan_cost_eur', 'Predicted net energy cost of the plan', [[{}, history?.costEur]]);
+		metric('edp_slot_start_timestamp_seconds', 'Start of the planned slot', per(p => p.start / 1000));
+		metric('edp_price_eur_per_kwh', 'Price per slot', [
+			...per(p => p.price).map(([l, v]) => [{ ...l, kind: 'effective' }, v]),
+			...per(p => p.spot).map(([l, v]) => [{ ...l, kind: 'spot' }, v]),
+			...per(p => p.feedIn).map(([l, v]) => [{ ...l, kind: 'feedin' }, v])
+		]);
+		metric('edp_pv_forecast_wh', 'PV forecast per slot', per((p, i) => forecast[i] || 0));
+		const loads = { house: 'houseW', pv: 'pvW', ev: 'evW', hp: 'hpW', appliance: 'applianceW', battery: 'batteryW', grid: 'gridW' };
+		metric('edp_planned_power_watts', 'Planned average power per slot and load (battery + charge, grid + import)',
+			Object.entries(loads).flatMap(([load, f]) => per((p, i) => loadPlan[i]?.[f]).map(([l, v]) => [{ ...l, load }, v])));
+		metric('edp_grid_limit_watts', 'Grid import limit per slot', per((p, i) => loadPlan[i]?.limitW ?? NaN));
+		metric('edp_battery_soc_planned_percent', 'Predicted SoC at slot end', per((p, i) => sim[i]?.socPct));
+	}
+
+	metric('edp_kpi', 'Accounting KPIs of the current day and month (unit in the kpi name)',
+		['day', 'month'].flatMap(period => Object.keys(KPI_FIELDS).map(kpi => [{ period, kpi }, Number(getVal(`${KPI_BASE}.${period}.${kpi}`, NaN))])));
+	metric('edp_source_ok', 'Data source healthy (1, the PV model counts as healthy) or degraded (0)',
+		Object.entries(HEALTH).map(([source, h]) => [{ source }, h.status === 'ok' || h.status === 'model' ? 1 : 0]));
+	metric('edp_source_status', 'Current status of the data source (1) among the fixed set ok|cache|fallback|model|stale|missing (0)',
+		Object.entries(HEALTH).flatMap(([source, h]) => ['ok', ...Object.keys(HEALTH_MODES)].map(status => [{ source, status }, h.status === status ? 1 : 0])));
+	metric('edp_source_age_minutes', 'Age of the last successful data',
+		Object.entries(HEALTH).filter(([, h]) => h.lastSuccess).map(([source, h]) => [{ source }, (RT.now() - h.lastSuccess) / 60e3]));
+	metric('edp_source_errors', 'Consecutive failed attempts', Object.entries(HEALTH).map(([source, h]) => [{ source }, h.errors || 0]));
+	metric('edp_override_active', 'Manual override active', Object.keys(OVERRIDE_KEYS).map(key => [{ override: key }, overrideActive(key) ? 1 : 0]));
+	return lines.join('\n') + '\n';
+}
+
+if (IS_IOBROKER) {
+	startHttpApi();
+	RT.onStop(stopHttpApi);
+}
+
 // ==== MAIN ====
 /**
- * Full 24h planning routine:
+ * Full planning routine over the published price horizon:
  *  - ensure states
  *  - fetch prices & build forecast
- *  - compute EV & HP plans
+ *  - compute EV, HP, appliance & battery plans (joint allocation)
  *  - persist summary + Grafana data
  *  - flush detail logs
  */
 async function plan24h() {
 	try {
+		PLAN_LOG = [];
+		if (CONFIG_RELOAD_PENDING) reloadConfig();
 		ensureGrafanaStates();
 		ensureDetailStates();
+		storeConfigStatus();
+		expireOverrides();
+		const ovr = overridesText();
+		if (ovr) dlog(`🎛️ Aktive Overrides: ${ovr}`);
 
-		const prices = await getPrices24h();
+		const prices = await getPrices();
 
 		// Legacy-style line for "two cheapest night hours" (with seconds & ct/kWh)
 		const best2 = twoCheapestNight(prices);
@@ -628,20 +4407,26 @@ async function plan24h() {
 			dlog('💤 Billigste Nachtstunden: ' + nice);
 		}
 
-		const forecast = getPvForecast24h();
+		const forecast = slotForecast(prices, getPvForecast());
+		checkMeasurements();
 
-		const pvSumWh = (forecast || []).reduce((a, b) => a + (b || 0), 0);
+		const pvSumWh = pvWithinWh(prices, forecast);
 		const pvSumKWh = pvSumWh / 1000;
 		const cheapNightCount = prices.filter(p => {
 			const h = parseInt(localHour(p.start), 10);
 			return isNight(h) && (p.price < CHEAP_CUTOFF_EURKWH);
-		}).length;
+		}).length * slotHours();
 
-		const evPlan = buildEvPlan(prices, forecast);
-		const hpPlan = buildHpPlan(prices, forecast);
+		// EV, HP, appliances and battery jointly within the grid limit; sim = final trajectory
+		const alloc = allocateLoads(prices, forecast);
+		const { evPlans, hpPlan, appliancePlans, batteryPlan, sim, loadPlan } = alloc;
 
 		// Heat pump: log planned slots & (optionally) schedule setpoints
 		applyHpPlan(hpPlan);
+		applyBatteryPlan(batteryPlan, prices);
+		applyLowPriceMode(prices);
+		applyAppliancePlans(appliancePlans);
+		applyOverrides();
 
 		const bydSoc = Number(getVal(ST.bydSoc, 0)) || 0;
 		const pvNow = parseNum(getVal(ST.pvPower, 0)) || 0;
@@ -650,28 +4435,76 @@ async function plan24h() {
 
 		// Summary line
 		const cheapNightDetailed = best2.map(x => ({ start: x.start, price: x.price }));
-		const summary = buildSummaryText(prices, forecast, evPlan, cheapNightDetailed);
+		const summary = buildSummaryText(prices, forecast, evPlans, cheapNightDetailed, batteryPlan, appliancePlans);
 		setVal(`${GRAFANA_BASE}.summaryText`, summary);
 
-		// Persist EV plan
-		applyEvPlan(evPlan);
+		// Persist EV plan and (re)arm the evcc mode timeline
+		evPlans.forEach(applyEvPlan);
+		evLoadpoints().forEach(lp => applyEvModeTimeline(lp, evPlans.find(x => x.loadpoint === lp.id), prices));
 
 		// Persist Grafana-friendly data
-		storeGrafanaData(prices, forecast, pvSumKWh, cheapNightCount, evPlan, hpPlan, bydSoc, pvNow, gridNow, houseNow);
+		storeLoadForecast();
+		storeGrafanaData(prices, forecast, pvSumKWh, cheapNightCount, evPlans, hpPlan, bydSoc, pvNow, gridNow, houseNow, sim, batteryPlan, appliancePlans, loadPlan);
+
+		notifyAfterPlan(prices, summary);
+
+		// Versioned record with explanations and the diff to the previous run
+		const history = recordPlanHistory(prices, forecast, alloc);
 
 		// Flush detail ring buffer to states
 		flushDetailStates();
 
+		const result = { prices, forecast, evPlans, hpPlan, batteryPlan, appliancePlans, sim, loadPlan, summary, history };
+		LAST_PLAN = { ts: RT.now(), ...result, explain: alloc.explain };
+		return result;
 	} catch (e) {
+		PLAN_LOG = null;
+		notify('planError', 'error', `Planungsfehler: ${e}`);
 		flushDetailStates();
-		log('❌ Planungsfehler: ' + e, 'error');
+		RT.log('❌ Planungsfehler: ' + e, 'error');
+		return null;
 	}
 }
 
+// ==== SUBSCRIPTIONS ====
+// House load samples for the learned base-load profile
+RT.on({ id: ST.houseLoad, change: 'any' }, obj => {
+	sampleHouseLoad(obj?.state?.ts || RT.now(), parseNum(obj?.state?.val));
+});
+
+// Manual evcc mode changes pause the mode timeline (re-subscribed on config reload)
+let EV_MODE_SUBS = [];
+function subscribeEvModes() {
+	EV_MODE_SUBS.forEach(h => RT.unsubscribe(h));
+	EV_MODE_SUBS = evLoadpoints().map(lp =>
+		RT.on({ id: evModeStateId(lp), change: 'ne' }, obj => onEvModeChange(lp, obj?.state)));
+}
+subscribeEvModes();
+
+// Manual override switches (VIS/Grafana)
+Object.keys(OVERRIDE_KEYS).forEach(key => {
+	RT.on({ id: `${CONTROL_BASE}.${key}`, change: 'any', ack: false }, obj => onOverrideChange(key, obj?.state));
+});
+
+// Measured PV for the forecast calibration
+RT.on({ id: ST.pvPower, change: 'any' }, obj => {
+	samplePvOutput(obj?.state?.ts || RT.now(), parseNum(obj?.state?.val));
+});
+
+// Grid/PV samples for the cost accounting
+[ST.gridPower, ST.pvPower].forEach(id => {
+	RT.on({ id, change: 'any' }, obj => sampleAccounting(obj?.state?.ts || RT.now()));
+});
+
+// Real-time PV surplus controller
+[ST.pvPower, ST.gridPower, ST.houseLoad, ST.bydSoc].forEach(id => {
+	RT.on({ id, change: 'any' }, obj => evaluateSurplus(obj?.state?.ts || RT.now()));
+});
+
 // ==== SCHEDULER (run hourly at :10) ====
 // Timestamp helpers for scheduler log
 function pad2(n) { return String(n).padStart(2, '0'); }
-function ts(d = new Date()) {
+function ts(d = new Date(RT.now())) {
 	return `${pad2(d.getDate())}.${pad2(d.getMonth() + 1)}.${d.getFullYear()} ${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
 }
 function prependDetails(line) {
@@ -680,13 +4513,403 @@ function prependDetails(line) {
 	setVal(id, line + (prev ? '\n' + prev : ''));
 }
 
-// Plan 10 minutes after every full hour
-dlog('📅 Scheduler geplant: Ausführung 10 Minuten nach jeder vollen Stunde.');
-schedule('10 * * * *', function () {
-	const line = `🕒 Scheduler ausgelöst - ${ts()}`;
-	dlog(line);
-	plan24h().then(() => prependDetails(line));
-});
+if (IS_IOBROKER) {
+	// Plan 10 minutes after every full hour
+	dlog('📅 Scheduler geplant: Ausführung 10 Minuten nach jeder vollen Stunde.');
+	RT.schedule('10 * * * *', function () {
+		const line = `🕒 Scheduler ausgelöst - ${ts()}`;
+		dlog(line);
+		plan24h().then(() => prependDetails(line));
+	});
+
+	// Initial run once at script start
+	plan24h();
+}
+
+// ==== CLI (offline, plain Node) ====
+/**
+ * node energyDistributionPlanner.js --prices prices.json [--forecast forecast.json]
+ *     [--state snapshot.json] [--config config.json] [--now ISO] [--out dir] [--quiet]
+ * One planning pass on the in-memory runtime. prices.json: aWATTar response or
+ * [{ start, end, price }] (unit via --price-unit, default eur_kwh for arrays);
+ * forecast.json: 24 (today) or 48 (today + tomorrow) Wh values per local hour
+ * or a state snapshot of the plenticore forecast; snapshot.json: { stateId: value }.
+ * Prints { summary, evPlans, hpPlan, batteryPlan, appliancePlans, loadPlan, diff, tableJsonLong }
+ * or writes plans.json, summary.txt, loadPlan.json, tableJsonLong.json, explain.json and
+ * the plan history (history/, diff against the previous run in the same dir) to --out.
+ */
+const CLI_USAGE = [
+	'usage: node energyDistributionPlanner.js --prices prices.json [--forecast forecast.json] [--state snapshot.json] [--config config.json] [--now ISO] [--price-unit eur_kwh|eur_mwh|ct_kwh] [--out dir] [--quiet]',
+	'       node energyDistributionPlanner.js --backtest --history history.csv [--config config.json] [--sweep sweep.json] [--from ISO] [--to ISO] [--price-unit …] [--out report.json] [--verbose]'
+].join('\n');
+
+function parseCliArgs(argv) {
+	const args = {};
+	for (let i = 0; i < argv.length; i++) {
+		const m = /^--([\w-]+)$/.exec(argv[i]);
+		if (!m) continue;
+		if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) args[m[1]] = true;
+		else args[m[1]] = argv[++i];
+	}
+	return args;
+}
+
+/**
+ * Wh values per local hour → plenticore forecast states: the first 24 for
+ * the day of `now` (day1), the next 24 for the following day (day2).
+ */
+function forecastStates(arrWh, now) {
+	const states = {};
+	arrWh.slice(0, 48).forEach((wh, k) => {
+		const d = Math.floor(k / 24);
+		const h = k % 24;
+		const prefix = `plenticore.0.forecast.day${d + 1}.power.${h + 1}h`;
+		states[`${prefix}.time`] = new Date(localTimeToTs(localDateISO(now + d * 86400e3), `${pad2(h)}:00`)).toISOString();
+		states[`${prefix}.power`] = Number(wh) || 0;
+	});
+	return states;
+}
+
+async function runCli(argv) {
+	const path = require('path');
+	const args = parseCliArgs(argv);
+	if (args.backtest) return runBacktest(args);
+	if (!args.prices || args.help) {
+		console.error(CLI_USAGE);
+		return 2;
+	}
+	const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+	if (args.quiet) RT.setLogLevel('warn');
+	if (args.now) {
+		const now = Date.parse(args.now);
+		if (isNaN(now)) { console.error(`invalid --now: ${args.now}`); return 2; }
+		RT.setNow(now);
+	}
+	if (args.config) {
+		const res = normalizeConfig(readJson(args.config));
+		res.errors.forEach(e => RT.log(`⚠️ Konfiguration: ${e}`, 'warn'));
+		applyConfig(res.cfg);
+	}
+
+	const states = args.state ? readJson(args.state) : {};
+	if (args.forecast) {
+		const fc = readJson(args.forecast);
+		Object.assign(states, Array.isArray(fc) ? forecastStates(fc, RT.now()) : fc);
+	}
+	Object.entries(states).forEach(([id, val]) => RT.setState(id, val, true));
+
+	// persisted planner state may be part of the snapshot
+	restoreLoadHistory();
+	restoreEvTimeline();
+	restoreActuatorJournal();
+	restoreOverrides();
+	restoreNotify();
+	restoreAppliances();
+	restoreHealth();
+	PLAN_HISTORY = { ...PLAN_HISTORY, dir: args.out ? path.resolve(args.out, 'history') : '' };
+	restorePlanHistory();
+
+	const priceFile = readJson(args.prices);
+	PRICE_SOURCE = { type: 'file', path: path.resolve(args.prices), unit: args['price-unit'] || (Array.isArray(priceFile) ? 'eur_kwh' : 'eur_mwh') };
+
+	const res = await plan24h();
+	if (!res) return 1;
+	const out = {
+		summary: res.summary,
+		evPlans: res.evPlans,
+		hpPlan: res.hpPlan,
+		batteryPlan: res.batteryPlan,
+		appliancePlans: res.appliancePlans,
+		loadPlan: res.loadPlan,
+		diff: res.history?.diff || [],
+		tableJsonLong: getVal(`${GRAFANA_BASE}.tableJsonLong`, [], { json: true })
+	};
+	if (args.out) {
+		fs.mkdirSync(args.out, { recursive: true });
+		fs.writeFileSync(path.join(args.out, 'plans.json'), JSON.stringify({ evPlans: out.evPlans, hpPlan: out.hpPlan, batteryPlan: out.batteryPlan, appliancePlans: out.appliancePlans }, null, 2));
+		fs.writeFileSync(path.join(args.out, 'summary.txt'), out.summary + '\n');
+		fs.writeFileSync(path.join(args.out, 'loadPlan.json'), JSON.stringify(out.loadPlan, null, 2));
+		fs.writeFileSync(path.join(args.out, 'tableJsonLong.json'), JSON.stringify(out.tableJsonLong, null, 2));
+		if (res.history) fs.writeFileSync(path.join(args.out, 'explain.json'), JSON.stringify(res.history.slots, null, 2));
+	} else {
+		console.log(JSON.stringify(out, null, 2));
+	}
+	return 0;
+}
+
+// ==== BACKTEST ====
+/**
+ * node energyDistributionPlanner.js --backtest --history history.csv
+ *     [--config config.json] [--sweep sweep.json] [--from ISO] [--to ISO] [--out report.json]
+ * Replays hourly history rows { start, price, pvWh, loadWh } (CSV with header
+ * or JSON array; price unit via --price-unit, default eur_mwh) day by day:
+ * at the EV arrival time (BACKTEST.ev.arrive) the planner runs with the real
+ * PV as forecast, then the next 24 h are settled with the real PV and load.
+ * The EV needs BACKTEST.ev.dailyKWh before departure; energy the plan leaves
+ * open is charged from PV surplus while the car is home, the rest in the
+ * last hours before departure. Baselines: "immediate" (full power from
+ * arrival) and "night" (full power from BACKTEST.nightFrom), both without
+ * battery grid charging and with the heat pump hours at BACKTEST.hpFrom;
+ * they are forced to the same daily EV energy.
+ * sweep.json: { "<CONFIG KEY>": [values, …] } → every combination is replayed
+ * from a clean runtime state together with its own baselines.
+ */
+function readHistory(file, unit = 'eur_mwh') {
+	const text = fs.readFileSync(file, 'utf8');
+	let rows;
+	if (/^\s*[[{]/.test(text)) {
+		const js = JSON.parse(text);
+		rows = Array.isArray(js) ? js : (js.data || []);
+	} else {
+		const lines = text.split(/\r?\n/).filter(l => l.trim());
+		const sep = lines[0].includes(';') ? ';' : ',';
+		const head = lines[0].split(sep).map(h => h.trim());
+		rows = lines.slice(1).map(l => Object.fromEntries(l.split(sep).map((v, i) => [head[i], v.trim()])));
+	}
+	const num = v => (v === undefined || v === '' ? 0 : parseNum(v));
+	return rows
+		.map(r => {
+			const start = isNaN(Number(r.start)) ? Date.parse(r.start) : Number(r.start);
+			return { start, end: start + 3600e3, price: toEurKWh(r.price, unit), pvWh: num(r.pvWh ?? r.pv_wh), loadWh: num(r.loadWh ?? r.load_wh) };
+		})
+		.filter(r => !isNaN(r.start) && !isNaN(r.price))
+		.sort((a, b) => a.start - b.start);
+}
+
+function hourIndex(history) { return new Map(history.map(r => [r.start, r])); }
+
+/**
+ * Cost of one strategy over the settlement slots: grid import at the effective
+ * price minus feed-in revenue. Returns { costEur, importWh, feedInWh, socEnd }.
+ */
+function settleSlots(prices, pvWh, houseWh, extraWh, socStart, batteryPlan = null) {
+	const sim = simulateBattery(prices, pvWh, { socStart, extraWh, batteryPlan, houseWh });
+	let costEur = 0, importWh = 0, feedInWh = 0;
+	sim.forEach((x, i) => {
+		costEur += (x.importWh * prices[i].price - x.feedInWh * (prices[i].feedIn ?? 0)) / 1000;
+		importWh += x.importWh;
+		feedInWh += x.feedInWh;
+	});
+	return { costEur, importWh, feedInWh, socEnd: sim.length ? sim[sim.length - 1].socPct : socStart };
+}
+
+/**
+ * Slot indices when the car is at home (arrival → departure).
+ */
+function evPresentSlots(prices) {
+	const dep = parseHHMM(BACKTEST.ev.depart);
+	const arr = parseHHMM(BACKTEST.ev.arrive);
+	return prices.map((p, i) => {
+		const m = localMinuteOfDay(p.start);
+		return (arr > dep ? (m >= arr || m < dep) : (m >= arr && m < dep)) ? i : -1;
+	}).filter(i => i >= 0);
+}
+
+/**
+ * Load energy per slot for `needWh`, filling the slot candidates in order at
+ * full power (EV in the backtest, EV and HP in the KPI reference).
+ */
+function fillEvSlots(prices, candidates, needWh, powerW, arr = new Array(prices.length).fill(0)) {
+	let left = needWh;
+	for (const i of candidates) {
+		if (left <= 0) break;
+		const room = powerW * (prices[i].end - prices[i].start) / 3600e3 - arr[i];
+		const wh = Math.min(left, Math.max(0, room));
+		arr[i] += wh;
+		left -= wh;
+	}
+	return arr;
+}
+
+/**
+ * Forget everything a previous run left in the runtime and the module state,
+ * so every sweep combination starts like a fresh install.
+ */
+function resetBacktestState() {
+	RT.reset();
+	[OVERRIDES, EV_TIMELINE].forEach(o => Object.keys(o).forEach(k => delete o[k]));
+	Object.assign(ACT, { windows: [], originals: {}, writes: {} });
+	Object.assign(SURPLUS, { emaW: null, lastTs: 0, loads: {} });
+	LOAD_PROFILE = null;
+	LAST_PLAN = null;
+	restoreHealth();
+	restorePvHistory();
+	restoreLoadHistory();
+	restoreOverrides();
+	restoreActuatorJournal();
+	restoreAppliances();
+	restoreAccounting();
+	restoreNotify();
+}
+
+/**
+ * Replay all days with the currently applied config.
+ */
+async function backtestRun(history, days) {
+	const byStart = hourIndex(history);
+	const powerW = evPowerKW(evLoadpoints()[0]) * 1000;
+	const needWh = BACKTEST.ev.dailyKWh * 1000;
+	const hpW = hpPowerKW() * 1000;
+	const acc = {};
+	const add = (key, r, ev) => {
+		const a = acc[key] || (acc[key] = { costEur: 0, importKWh: 0, feedInKWh: 0, evKWh: 0, evForcedKWh: 0, soc: BACKTEST.socStart });
+		a.costEur += r.costEur;
+		a.importKWh += r.importWh / 1000;
+		a.feedInKWh += r.feedInWh / 1000;
+		a.evKWh += ev.total / 1000;
+		a.evForcedKWh += (ev.forced || 0) / 1000;
+		a.soc = r.socEnd;
+	};
+
+	resetBacktestState();
+
+	for (const day of days) {
+		const now = localTimeToTs(day, BACKTEST.ev.arrive);
+		RT.setNow(now);
+
+		// learn the base load of the past day like the live Home_P subscription does
+		for (let t = now - 86400e3; t < now; t += 15 * 60e3) {
+			const r = byStart.get(Math.floor(t / 3600e3) * 3600e3);
+			if (r) sampleHouseLoad(t, r.loadWh);
+		}
 
-// Initial run once at script start
-plan24h();
\ No newline at end of file
+		// real PV of today and tomorrow as forecast (day1/day2)
+		const pvByHour = Array.from({ length: 48 }, (_, k) => {
+			const r = byStart.get(localTimeToTs(localDateISO(now + Math.floor(k / 24) * 86400e3), `${pad2(k % 24)}:00`));
+			return r ? r.pvWh : 0;
+		});
+		Object.entries(forecastStates(pvByHour, now)).forEach(([id, v]) => RT.setState(id, v, true));
+		RT.setState(evState(1, 'connected'), true, true);
+		RT.setState(ST.bydSoc, (acc.planner?.soc ?? BACKTEST.socStart), true);
+
+		const res = await plan24h();
+		if (!res || !res.prices.length) continue;
+		// the plan may reach into the next day; only the next 24 h are settled
+		const prices = res.prices.filter(p => p.start < now + 86400e3);
+		// hourly history rows are spread over shorter slots
+		const actual = prices.map(p => {
+			const r = byStart.get(Math.floor(p.start / 3600e3) * 3600e3);
+			const f = (p.end - p.start) / 3600e3;
+			return r ? { pvWh: r.pvWh * f, loadWh: r.loadWh * f } : { pvWh: 0, loadWh: 0 };
+		});
+		const pvWh = actual.map(r => r.pvWh);
+		const houseWh = actual.map(r => r.loadWh);
+		const hpWh = plannedLoadWh(prices, [], res.hpPlan);
+
+		const present = evPresentSlots(prices);
+		const sum = arr => arr.reduce((a, b) => a + b, 0);
+		// energy still missing is charged in the last hours before departure
+		const force = evWh => {
+			const forced = Math.max(0, needWh - sum(evWh));
+			if (forced > 0) fillEvSlots(prices, [...present].reverse(), forced, powerW, evWh);
+			return { total: sum(evWh), forced };
+		};
+
+		// planner: EV plan, open energy from PV surplus while home, rest before departure
+		const evWh = plannedLoadWh(prices, res.evPlans, null);
+		const open = needWh - sum(evWh);
+		if (open > 0) {
+			const base = simulateBattery(prices, pvWh, { socStart: acc.planner?.soc ?? BACKTEST.socStart, extraWh: hpWh.map((x, i) => x + evWh[i]), houseWh });
+			fillEvSlots(prices, present.filter(i => base[i].feedInWh > 0).sort((a, b) => base[b].feedInWh - base[a].feedInWh), open, powerW, evWh);
+		}
+		const ev = force(evWh);
+		add('planner', settleSlots(prices, pvWh, houseWh, evWh.map((x, i) => x + hpWh[i]), acc.planner?.soc ?? BACKTEST.socStart, res.batteryPlan), ev);
+
+		const hpCount = (res.hpPlan?.dhwHours || []).length + (res.hpPlan?.heatHours || []).length;
+		const hpFrom = prices.findIndex(p => localMinuteOfDay(p.start) === parseHHMM(BACKTEST.hpFrom));
+		const hpBase = new Array(prices.length).fill(0);
+		for (let k = 0; k < hpCount && hpFrom >= 0 && hpFrom + k < prices.length; k++) {
+			hpBase[hpFrom + k] = hpW * (prices[hpFrom + k].end - prices[hpFrom + k].start) / 3600e3;
+		}
+		const nightFrom = present.findIndex(i => localMinuteOfDay(prices[i].start) === parseHHMM(BACKTEST.nightFrom));
+		const baselines = {
+			immediate: fillEvSlots(prices, present, needWh, powerW),
+			night: fillEvSlots(prices, nightFrom >= 0 ? present.slice(nightFrom) : present, needWh, powerW)
+		};
+		for (const [key, evBase] of Object.entries(baselines)) {
+			const filled = force(evBase);
+			add(key, settleSlots(prices, pvWh, houseWh, evBase.map((x, i) => x + hpBase[i]), acc[key]?.soc ?? BACKTEST.socStart), filled);
+		}
+	}
+	const round = a => Object.fromEntries(Object.entries(a).filter(([k]) => k !== 'soc').map(([k, v]) => [k, +v.toFixed(2)]));
+	return Object.fromEntries(Object.entries(acc).map(([k, a]) => [k, round(a)]));
+}
+
+/**
+ * Cartesian product of a sweep definition { KEY: [v1, v2], … }.
+ */
+function sweepCombos(sweep) {
+	return Object.entries(sweep || {}).reduce(
+		(combos, [key, values]) => combos.flatMap(c => (Array.isArray(values) ? values : [values]).map(v => ({ ...c, [key]: v }))),
+		[{}]);
+}
+
+async function runBacktest(args) {
+	const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+	if (!args.history) {
+		console.error(CLI_USAGE);
+		return 2;
+	}
+	const history = readHistory(args.history, args['price-unit'] || 'eur_mwh');
+	if (!history.length) { console.error(`no usable rows in ${args.history}`); return 1; }
+
+	const baseCfg = args.config ? normalizeConfig(readJson(args.config)).cfg : (CONFIG_STATUS.cfg || normalizeConfig({}).cfg);
+	const sweep = args.sweep ? readJson(args.sweep) : {};
+	const unknown = Object.keys(sweep).filter(k => !(k in CONFIG_SCHEMA));
+	if (unknown.length) { console.error(`unknown sweep keys: ${unknown.join(', ')}`); return 2; }
+
+	// like the day-ahead auction: tomorrow's prices are known from 14:00 on
+	registerPriceProvider('backtest', async (opts, { from, until }) => {
+		const published = localTimeToTs(localDateISO(from + (localMinuteOfDay(from) >= 14 * 60 ? 2 : 1) * 86400e3), '00:00');
+		return history
+			.filter(r => r.start >= from && r.start < Math.min(until, published))
+			.map(r => ({ start: r.start, end: r.end, price: r.price }));
+	});
+
+	const from = args.from ? Date.parse(args.from) : history[0].start;
+	const to = args.to ? Date.parse(args.to) : history[history.length - 1].start - 86400e3;
+	const days = [];
+	for (let d = localDateISO(from); localTimeToTs(d, '00:00') <= to; d = localDateISO(localTimeToTs(d, '12:00') + 86400e3)) days.push(d);
+	RT.setLogLevel(args.verbose ? 'info' : 'error');
+
+	const runs = [];
+	for (const combo of sweepCombos(sweep)) {
+		const cfg = JSON.parse(JSON.stringify(baseCfg));
+		const errors = [];
+		Object.entries(combo).forEach(([k, v]) => { cfg[k] = validateConfigValue(k, CONFIG_SCHEMA[k], v, errors); });
+		if (errors.length) { console.error(errors.join('\n')); return 2; }
+		const lp = (cfg.EV_LOADPOINTS || [])[0] || {};
+		cfg.SET_PLANS = false;
+		cfg.PLAN_HISTORY = { ...cfg.PLAN_HISTORY, enabled: false };
+		cfg.PRICE_SOURCE = { type: 'backtest' };
+		cfg.EV_LOADPOINTS = [{ ...lp, id: 1, name: lp.name || 'EV', capacityKWh: undefined, targetKWh: cfg.BACKTEST.ev.dailyKWh, departure: { default: cfg.BACKTEST.ev.depart } }];
+		applyConfig(cfg);
+
+		const result = await backtestRun(history, days);
+		const baselines = { immediate: result.immediate, night: result.night };
+		const planner = result.planner || { costEur: 0 };
+		runs.push({
+			params: combo,
+			...planner,
+			savingsVsImmediateEur: +((baselines.immediate?.costEur ?? 0) - planner.costEur).toFixed(2),
+			savingsVsNightEur: +((baselines.night?.costEur ?? 0) - planner.costEur).toFixed(2),
+			baselines
+		});
+		console.error(`${JSON.stringify(combo)} → ${planner.costEur} € (vs. sofort ${runs[runs.length - 1].savingsVsImmediateEur} €, vs. Nacht ${runs[runs.length - 1].savingsVsNightEur} €)`);
+	}
+
+	runs.sort((a, b) => a.costEur - b.costEur);
+	const report = {
+		period: { from: days[0], to: days[days.length - 1], days: days.length },
+		runs,
+		best: runs[0]
+	};
+	if (args.out) fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+	else console.log(JSON.stringify(report, null, 2));
+	return 0;
+}
+
+if (!IS_IOBROKER) {
+	module.exports = { RT, memoryRuntime, plan24h, runCli, runBacktest, normalizeConfig, applyConfig, CONFIG_SCHEMA };
+	if (require.main === module) runCli(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
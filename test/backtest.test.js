@@ -0,0 +1,46 @@
+/**
+ * Backtest over three fixture days of hourly history with a two-value sweep.
+ */
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'edp-backtest-'));
+fs.copyFileSync(path.join(FIXTURES, 'config.json'), path.join(tmp, 'config.json'));
+process.env.EDP_ROOT_DIR = tmp;
+const { runCli } = require('../energyDistributionPlanner.js');
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+test('runBacktest replays the fixture history per sweep combination', async () => {
+	const report = path.join(tmp, 'report.json');
+	const rc = await runCli([
+		'--backtest',
+		'--history', path.join(FIXTURES, 'history.csv'),
+		'--config', path.join(FIXTURES, 'config.json'),
+		'--sweep', path.join(FIXTURES, 'sweep.json'),
+		'--out', report
+	]);
+	assert.equal(rc, 0);
+	const { period, runs, best } = JSON.parse(fs.readFileSync(report, 'utf8'));
+
+	assert.deepEqual(period, { from: '2026-04-01', to: '2026-04-03', days: 3 });
+	assert.deepEqual(runs.map(r => r.params.CHEAP_CUTOFF_EURKWH).sort(), [0.05, 0.2]);
+	assert.deepEqual(best, runs[0]);
+	for (const run of runs) {
+		assert.ok(Number.isFinite(run.costEur));
+		// whole 3.6 kW slots per day, nothing left for the forced top-up
+		assert.ok(run.evKWh >= 3 * 10);
+		assert.equal(run.evForcedKWh, 0);
+		for (const name of ['immediate', 'night']) {
+			const base = run.baselines[name];
+			assert.equal(base.evKWh, 3 * 10);
+			const savings = run[`savingsVs${name[0].toUpperCase()}${name.slice(1)}Eur`];
+			assert.ok(Math.abs(savings - (base.costEur - run.costEur)) < 0.011);
+		}
+		assert.ok(run.savingsVsImmediateEur > 0);
+	}
+});
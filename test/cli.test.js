@@ -0,0 +1,52 @@
+/**
+ * Offline CLI on a fixture day (2026-06-15, 12:05 local): cloudy PV, cheap
+ * night, EV at 60 % SoC with a target of 80 % by 07:00.
+ */
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'edp-cli-'));
+fs.copyFileSync(path.join(FIXTURES, 'config.json'), path.join(tmp, 'config.json'));
+process.env.EDP_ROOT_DIR = tmp;
+const { runCli } = require('../energyDistributionPlanner.js');
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+test('runCli plans the fixture day and writes its outputs', async () => {
+	const out = path.join(tmp, 'out');
+	const rc = await runCli([
+		'--now', '2026-06-15T10:05:00Z',
+		'--prices', path.join(FIXTURES, 'prices.json'),
+		'--forecast', path.join(FIXTURES, 'forecast.json'),
+		'--state', path.join(FIXTURES, 'state.json'),
+		'--config', path.join(FIXTURES, 'config.json'),
+		'--out', out,
+		'--quiet'
+	]);
+	assert.equal(rc, 0);
+	const readJson = file => JSON.parse(fs.readFileSync(path.join(out, file), 'utf8'));
+
+	// 50 kWh × (80 − 60) % / 0.9 → four 3.6 kW hours, the cheapest of the night (02:00–06:00)
+	const { evPlans } = readJson('plans.json');
+	assert.equal(evPlans.length, 1);
+	assert.equal(evPlans[0].loadpoint, 1);
+	assert.equal(evPlans[0].value, 11.1);
+	assert.deepEqual(evPlans[0].slots, [14, 15, 16, 17]);
+	assert.equal(evPlans[0].time, '2026-06-16T04:00:00.000Z');
+
+	const loadPlan = readJson('loadPlan.json');
+	assert.equal(loadPlan[0].start, '2026-06-15T10:05:00.000Z');
+	assert.deepEqual(loadPlan.flatMap((s, i) => (s.evW > 0 ? [i] : [])), [14, 15, 16, 17]);
+
+	const summary = fs.readFileSync(path.join(out, 'summary.txt'), 'utf8');
+	assert.match(summary, /EV EV: 11\.1 kWh bis 06:00/);
+
+	const explain = readJson('explain.json');
+	assert.equal(explain.length, loadPlan.length);
+	assert.ok(explain[0].decisions.some(d => d.load === 'ev.1' && !d.chosen && d.reason === 'nur Nachtladung'));
+	assert.ok(fs.existsSync(path.join(out, 'history', 'plan-000001.json')));
+});